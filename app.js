@@ -5,6 +5,20 @@
  *   viewer/data/static/index.json.zst
  *   viewer/data/static/bible/{book-slug}/{chapter}.json.zst
  *   viewer/data/static/manuscripts/{id}.json.zst
+ *   viewer/data/static/aggregates.json.zst      (see below)
+ *   viewer/data/static/passage-offsets.json.zst (see "Passage context")
+ *
+ * aggregates.json.zst holds per-work citation counts so the charts don't
+ * have to download every manuscript. tools/build-derived.js writes it from
+ * the manuscripts:
+ *   { "works": { "<work id>": {
+ *       "books":    { "<book slug>": n, … },
+ *       "chapters": { "<book slug>": { "<chapter>": n, … }, … } } } }
+ * Counts are refs, exactly as in manuscripts/{id}.json.zst (one per ref,
+ * whatever its verse span, duplicates merged — see "Duplicate refs").
+ * Works missing from the file, or the whole file missing, fall back to
+ * fetching the manuscript. The same script rewrites index.json's chapter
+ * counts and ref_counts to leave out the duplicates.
  *
  * To serve locally:
  *   python -m http.server 8000 --directory .   (from project root)
@@ -20,12 +34,18 @@ const bookCache = new Map(); // book slug → parsed book payload
 let activeBook = null;    // slug
 let activeChapter = null; // number
 let activeVerse = null;   // null = on verse table; "13" / "whole" = filtered citations view
-let activeMode = "viz";  // "scripture" | "works" | "viz"
+let activeMode = "viz";  // "scripture" | "works" | "authors" | "viz" | "compare" | "search" | "notes"
 let activeWorkId = null;       // numeric manuscript id
-let kjvData = null;       // loaded lazily from kjv.json.zst
-let kjvLoadPromise = null;
+let activeAuthor = null;       // work.author string
+let verseCountMode = "ranges"; // "ranges": a ref counts toward every verse it covers; "direct": single-verse cites only
+let verseLayout = "table";     // "table": cited verses only; "reading": the whole chapter text with markers
+let activeTranslation = "kjv"; // translation id (see translations.json)
+let parallelTranslation = "";  // second text shown alongside; "" = none
+let versification = "english"; // chapter/verse numbering refs are shown in: "english" | "greek"
 let passagesData = null;       // loaded lazily from passages.json.zst
 let passagesLoadPromise = null;
+let aggregatesData = null;     // loaded lazily from aggregates.json.zst (optional)
+let aggregatesLoadPromise = null;
 
 // ── DOM refs ──────────────────────────────────────────────────────────────────
 const bookListEl       = document.getElementById("book-list");
@@ -35,13 +55,26 @@ const statsEl          = document.getElementById("stats");
 const verseViewEl      = document.getElementById("verse-view");
 const verseTitleEl     = document.getElementById("verse-view-title");
 const verseTbodyEl     = document.getElementById("verse-tbody");
+const verseCountModeEl = document.getElementById("verse-count-mode");
+const verseLayoutEl    = document.getElementById("verse-layout");
+const verseTableWrapEl = document.getElementById("verse-table-wrap");
+const readingViewEl    = document.getElementById("reading-view");
+const readingTextEl    = document.getElementById("reading-text");
+const drawerEl         = document.getElementById("citation-drawer");
+const drawerTitleEl    = document.getElementById("drawer-title");
+const drawerFullEl     = document.getElementById("drawer-full");
+const drawerRefsEl     = document.getElementById("drawer-refs");
 const chapterViewEl    = document.getElementById("chapter-view");
 const chapterTitle     = document.getElementById("chapter-title");
 const verseBannerEl    = document.getElementById("verse-banner");
 const verseBannerRefEl = document.getElementById("verse-banner-ref");
 const verseBannerTextEl = document.getElementById("verse-banner-text");
+const verseBannerParallelEl = document.getElementById("verse-banner-parallel");
 const refsListEl       = document.getElementById("refs-list");
-const authorFilter     = document.getElementById("author-filter");
+const refFiltersEl     = document.getElementById("ref-filters");
+const refSortEl        = document.getElementById("ref-sort");
+const refGroupEl       = document.getElementById("ref-group");
+const showDupesEls     = document.querySelectorAll(".show-dupes");
 // Works mode DOM refs
 const sidebarEl        = document.getElementById("sidebar");
 const scripturePanelEl = document.getElementById("scripture-panel");
@@ -52,15 +85,72 @@ const workViewEl       = document.getElementById("work-view");
 const workTitleEl      = document.getElementById("work-title");
 const workMetaEl       = document.getElementById("work-meta");
 const workRefsListEl   = document.getElementById("work-refs-list");
-const bookFilterEl     = document.getElementById("book-filter");
+const workRefFiltersEl = document.getElementById("work-ref-filters");
+const workRefOrderEl   = document.getElementById("work-ref-order");
+const workLayoutEl     = document.getElementById("work-layout");
+const workReaderEl     = document.getElementById("work-reader");
 const categoryFiltersEl = document.getElementById("category-filters");
+const yearFilterEl     = document.getElementById("year-filter");
+const yearFromEl       = document.getElementById("year-from");
+const yearToEl         = document.getElementById("year-to");
+const yearRangeLabelEl = document.getElementById("year-range-label");
+const yearUndatedEl    = document.getElementById("year-undated");
+const yearFilterStatusEl = document.getElementById("year-filter-status");
 const modeTabEls       = document.querySelectorAll(".mode-tab");
+// Authors mode DOM refs
+const authorsPanelEl   = document.getElementById("authors-panel");
+const authorsListEl    = document.getElementById("authors-list");
+const authorsSearchEl  = document.getElementById("authors-search");
+const authorViewEl     = document.getElementById("author-view");
+const authorNameEl     = document.getElementById("author-name");
+const authorMetaEl     = document.getElementById("author-meta");
+const authorBodyEl     = document.getElementById("author-body");
 // Visualizations mode DOM ref
 const vizViewEl        = document.getElementById("viz-view");
+// Translation switcher DOM refs
+const translationBarEl    = document.getElementById("translation-bar");
+const translationSelectEl = document.getElementById("translation-select");
+const parallelSelectEl    = document.getElementById("parallel-select");
+const versificationEl     = document.getElementById("versification-select");
+// "Go to reference" DOM refs
+const gotoFormEl       = document.getElementById("goto-form");
+const gotoInputEl      = document.getElementById("goto-ref");
+const gotoErrorEl      = document.getElementById("goto-error");
+// Compare mode DOM refs
+const compareViewEl    = document.getElementById("compare-view");
+const compareKindEl    = document.getElementById("compare-kind");
+const compareAEl       = document.getElementById("compare-a");
+const compareBEl       = document.getElementById("compare-b");
+const compareBodyEl    = document.getElementById("compare-body");
+// Search mode DOM refs
+const searchViewEl     = document.getElementById("search-view");
+const searchFormEl     = document.getElementById("passage-search-form");
+const passageSearchEl  = document.getElementById("passage-search");
+const searchStatusEl   = document.getElementById("search-status");
+const searchResultsEl  = document.getElementById("search-results");
+// Offline download DOM refs
+const offlineBarEl     = document.getElementById("offline-bar");
+const offlineBtnEl     = document.getElementById("offline-btn");
+const offlineStatusEl  = document.getElementById("offline-status");
+const versePopoverEl   = document.getElementById("verse-popover");
+// Notes mode DOM refs
+const notesTabEl        = document.querySelector('.mode-tab[data-mode="notes"]');
+const notesViewEl       = document.getElementById("notes-view");
+const notesCollectionEl = document.getElementById("notes-collection");
+const notesRenameEl     = document.getElementById("notes-rename");
+const notesDeleteEl     = document.getElementById("notes-delete");
+const notesRenameFormEl = document.getElementById("notes-rename-form");
+const notesDeleteFormEl = document.getElementById("notes-delete-form");
+const notesExportEl     = document.getElementById("notes-export");
+const notesImportEl     = document.getElementById("notes-import");
+const notesStatusEl     = document.getElementById("notes-status");
+const notesListEl       = document.getElementById("notes-list");
 
 // ── Fetch helpers ─────────────────────────────────────────────────────────────
-async function fetchJSON(url) {
-  const resp = await fetch(url);
+// Fetch and decode on the main thread; the data loader's fallback when decode
+// workers aren't available.
+async function fetchJSONDirect(url, signal) {
+  const resp = await fetch(url, { signal });
   if (!resp.ok) throw new Error(`Failed to fetch ${url}: ${resp.status}`);
   // If the server set Content-Encoding: zstd the browser already decompressed;
   // otherwise (e.g. simple static servers) decompress the raw zstd stream manually.
@@ -72,6 +162,221 @@ async function fetchJSON(url) {
   return resp.json();
 }
 
+// ── Data loader ───────────────────────────────────────────────────────────────
+//
+// Data files are fetched, decompressed and parsed by a small pool of decode
+// workers (decode-worker.js). At most LOADER_MAX_IN_FLIGHT loads run at once;
+// queued ones start by priority, then in request order. Concurrent requests
+// for the same file share one load, which is dropped once every caller
+// waiting on it has aborted.
+
+const PRIORITY_VIEW = 0; // the file the user just navigated to
+const PRIORITY_BULK = 1; // per-work fan-out behind charts, profiles, comparisons
+const LOADER_MAX_IN_FLIGHT = 6;
+const LOADER_WORKERS = Math.max(1, Math.min(3, (navigator.hardwareConcurrency || 2) - 1));
+
+const loaderQueue = [];          // tasks waiting to start
+const loaderTasks = new Map();   // url (+ "#select") → queued or running task
+const loaderRunning = new Map(); // task id → running task
+let loaderPool = null;           // [{ worker, busy }]; empty when workers are unavailable
+let _loaderSeq = 0;
+
+function abortError() {
+  return new DOMException("Aborted", "AbortError");
+}
+
+function loaderWorkers() {
+  if (loaderPool) return loaderPool;
+  loaderPool = [];
+  if (typeof Worker === "undefined") return loaderPool;
+  try {
+    for (let i = 0; i < LOADER_WORKERS; i++) {
+      const slot = { worker: new Worker("decode-worker.js"), busy: 0 };
+      slot.worker.addEventListener("message", e => finishTask(e.data));
+      slot.worker.addEventListener("error", () => dropWorker(slot));
+      loaderPool.push(slot);
+    }
+  } catch {
+    for (const slot of loaderPool) slot.worker.terminate();
+    loaderPool = [];
+  }
+  return loaderPool;
+}
+
+// A worker that failed (e.g. fzstd didn't load) is retired; its loads rerun
+// on the main thread.
+function dropWorker(slot) {
+  slot.worker.terminate();
+  loaderPool = loaderPool.filter(s => s !== slot);
+  for (const task of loaderRunning.values()) {
+    if (task.slot !== slot) continue;
+    task.slot = null;
+    runTaskDirect(task);
+  }
+}
+
+// fetchJSON(url, { priority, signal, select }) → parsed payload, or just its
+// `select` key (saves copying fields the caller drops anyway).
+function fetchJSON(url, { priority = PRIORITY_VIEW, signal, select } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError());
+  const key = select ? `${url}#${select}` : url;
+  let task = loaderTasks.get(key);
+  if (!task) {
+    task = { id: ++_loaderSeq, key, url, select, priority, waiters: new Set(), slot: null, controller: null };
+    loaderTasks.set(key, task);
+    loaderQueue.push(task);
+  } else if (priority < task.priority) {
+    task.priority = priority;
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    task.waiters.add(waiter);
+    signal?.addEventListener("abort", () => {
+      if (!task.waiters.delete(waiter)) return; // already settled
+      reject(abortError());
+      if (!task.waiters.size) cancelTask(task);
+    }, { once: true });
+    pumpLoader();
+  });
+}
+
+function pumpLoader() {
+  while (loaderRunning.size < LOADER_MAX_IN_FLIGHT && loaderQueue.length) {
+    let best = 0;
+    for (let i = 1; i < loaderQueue.length; i++) {
+      const t = loaderQueue[i], b = loaderQueue[best];
+      if (t.priority < b.priority || (t.priority === b.priority && t.id < b.id)) best = i;
+    }
+    startTask(loaderQueue.splice(best, 1)[0]);
+  }
+}
+
+function startTask(task) {
+  loaderRunning.set(task.id, task);
+  const pool = loaderWorkers();
+  if (!pool.length) {
+    runTaskDirect(task);
+    return;
+  }
+  const slot = pool.reduce((a, b) => (b.busy < a.busy ? b : a));
+  slot.busy++;
+  task.slot = slot;
+  slot.worker.postMessage({ type: "load", id: task.id, url: task.url, select: task.select });
+}
+
+function runTaskDirect(task) {
+  const ctrl = task.controller = new AbortController();
+  fetchJSONDirect(task.url, ctrl.signal).then(
+    data => finishTask({ type: "done", id: task.id, data: task.select ? data[task.select] : data }),
+    err => finishTask({ type: "error", id: task.id, message: err.message, aborted: ctrl.signal.aborted }));
+}
+
+function finishTask(msg) {
+  const task = loaderRunning.get(msg.id);
+  if (!task) return;
+  loaderRunning.delete(msg.id);
+  if (task.slot) task.slot.busy--;
+  if (loaderTasks.get(task.key) === task) loaderTasks.delete(task.key);
+  for (const { resolve, reject } of task.waiters) {
+    if (msg.type === "done") resolve(msg.data);
+    else reject(msg.aborted ? abortError() : new Error(msg.message));
+  }
+  task.waiters.clear();
+  pumpLoader();
+}
+
+function cancelTask(task) {
+  loaderTasks.delete(task.key);
+  if (!loaderRunning.has(task.id)) {
+    loaderQueue.splice(loaderQueue.indexOf(task), 1);
+    return;
+  }
+  // The load still reports back (as aborted), which frees its slot.
+  if (task.slot) task.slot.worker.postMessage({ type: "cancel", id: task.id });
+  else task.controller.abort();
+}
+
+// Book payloads are cached for the session; several views share them.
+// Returned with refs renumbered to the active versification (see below).
+async function fetchBook(slug) {
+  if (!bookCache.has(slug)) {
+    const raw = await fetchJSON(`${DATA_ROOT}/bible/${slug}.json.zst`);
+    if (!bookCache.has(slug)) bookCache.set(slug, mergeBookDuplicates(raw));
+  }
+  return displayBook(slug);
+}
+
+// ── Duplicate refs ────────────────────────────────────────────────────────────
+//
+// The builder can emit the same citation more than once (same work, passage
+// and verse). Payloads are merged as they load: the first copy is kept with
+// `dupes` set to the number dropped, so every count — sidebar, verse table,
+// charts — is of distinct refs. index.json's counts are of distinct refs
+// already (tools/build-derived.js). "Show duplicates" puts the dropped
+// copies back on the cards for auditing.
+
+let showDuplicates = false;
+
+// Keep the first ref per key; returns the input array when nothing merged.
+function mergeDuplicateRefs(refs, keyOf) {
+  const kept = new Map();
+  for (const ref of refs) {
+    const key = keyOf(ref);
+    const first = kept.get(key);
+    if (first) first.dupes++;
+    else kept.set(key, { ...ref, dupes: 0 });
+  }
+  if (kept.size === refs.length) return refs;
+  return [...kept.values()].map(ref => {
+    if (ref.dupes) return ref;
+    const { dupes, ...rest } = ref;
+    return rest;
+  });
+}
+
+function mergeBookDuplicates(book) {
+  let merged = false;
+  const chapters = book.chapters.map(chData => {
+    const refs = mergeDuplicateRefs(chData.refs, ref => `${ref.w} ${ref.p} ${ref.v ?? ""}`);
+    if (refs === chData.refs) return chData;
+    merged = true;
+    return { ...chData, refs };
+  });
+  return merged ? { ...book, chapters } : book;
+}
+
+// A work's refs are keyed on location, the work being fixed.
+function mergeWorkDuplicates(refs) {
+  return mergeDuplicateRefs(refs, ref => `${ref.book_slug} ${ref.chapter} ${ref.v ?? ""} ${ref.p}`);
+}
+
+// The refs to build cards from: as merged, or with each dropped copy restored
+// (flagged `duplicate`) while auditing.
+function cardRefs(refs) {
+  if (!showDuplicates) return refs;
+  return refs.flatMap(ref => ref.dupes
+    ? [ref, ...Array.from({ length: ref.dupes }, () => ({ ...ref, duplicate: true }))]
+    : [ref]);
+}
+
+function setShowDuplicates(on) {
+  showDuplicates = on;
+  for (const el of showDupesEls) el.checked = on;
+}
+
+function onShowDuplicatesChange(e) {
+  setShowDuplicates(e.target.checked);
+  if (activeMode === "scripture" && activeChapter !== null && activeVerse !== null) {
+    if (activeVerse === "all") loadChapter(activeBook, activeChapter);
+    else openCitations(activeBook, activeChapter, activeVerse);
+  } else if (activeMode === "works" && activeWorkId !== null) {
+    loadWork(activeWorkId);
+  } else {
+    updateRoute({ replace: true });
+  }
+}
+
 // ── Heatmap ───────────────────────────────────────────────────────────────────
 function heatLevel(count, max) {
   if (count === 0) return 0;
@@ -100,19 +405,31 @@ function setMode(mode) {
 
   const isScripture = mode === "scripture";
   const isWorks     = mode === "works";
+  const isAuthors   = mode === "authors";
   const isViz       = mode === "viz";
+  const isCompare   = mode === "compare";
+  const isSearch    = mode === "search";
+  const isNotes     = mode === "notes";
+  if (!isViz) _vizAbort?.abort(); // drop the charts' queued loads
 
   scripturePanelEl.hidden = !isScripture;
   worksPanelEl.hidden     = !isWorks;
-  sidebarEl.hidden        = isViz;
+  authorsPanelEl.hidden   = !isAuthors;
+  sidebarEl.hidden        = isViz || isCompare || isSearch || isNotes;
   vizViewEl.hidden        = !isViz;
+  compareViewEl.hidden    = !isCompare;
+  searchViewEl.hidden     = !isSearch;
+  notesViewEl.hidden      = !isNotes;
+  authorViewEl.hidden     = true;
 
-  if (isViz) {
+  if (isViz || isCompare || isSearch || isNotes) {
     welcomeEl.hidden     = true;
     verseViewEl.hidden   = true;
     chapterViewEl.hidden = true;
     workViewEl.hidden    = true;
-    renderVizTab();
+    if (isViz) renderVizTab();
+    if (isCompare) renderCompareControls();
+    if (isNotes) return renderNotesView();
   } else if (isScripture) {
     workViewEl.hidden = true;
     if (activeChapter !== null) {
@@ -129,7 +446,7 @@ function setMode(mode) {
       verseViewEl.hidden = true;
       showWelcome();
     }
-  } else {
+  } else if (isWorks) {
     verseViewEl.hidden   = true;
     chapterViewEl.hidden = true;
     if (activeWorkId !== null) {
@@ -138,11 +455,21 @@ function setMode(mode) {
     } else {
       showWelcome();
     }
+  } else {
+    verseViewEl.hidden   = true;
+    chapterViewEl.hidden = true;
+    workViewEl.hidden    = true;
+    if (activeAuthor !== null) {
+      welcomeEl.hidden    = true;
+      authorViewEl.hidden = false;
+    } else {
+      showWelcome();
+    }
   }
 }
 
 for (const tab of modeTabEls)
-  tab.addEventListener("click", () => setMode(tab.dataset.mode));
+  tab.addEventListener("click", () => { setMode(tab.dataset.mode); updateRoute(); });
 
 // ── Sidebar rendering ─────────────────────────────────────────────────────────
 function renderSidebar(filter = "") {
@@ -154,7 +481,7 @@ function renderSidebar(filter = "") {
     if (term && !book.name.toLowerCase().includes(term)) continue;
 
     // Build a filtered chapter list, computing counts relative to checked categories.
-    const filteredChs = book.chapters
+    const filteredChs = displayIndexChapters(book)
       .map(ch => ({ ch: ch.ch, count: filteredCount(ch, cats), by_cat: ch.by_cat }))
       .filter(ch => ch.count > 0);
 
@@ -211,6 +538,7 @@ function toggleBook(slug) {
     activeVerse = null;
   }
   renderSidebar(searchEl.value);
+  updateRoute();
 }
 
 // ── Welcome / stats ───────────────────────────────────────────────────────────
@@ -219,6 +547,7 @@ function showWelcome() {
   verseViewEl.hidden   = true;
   chapterViewEl.hidden = true;
   workViewEl.hidden    = true;
+  authorViewEl.hidden  = true;
   if (!index) return;
   const totalBooks = index.books.length;
   const totalRefs  = index.books.reduce((s, b) => s + b.chapters.reduce((s2, c) => s2 + c.count, 0), 0);
@@ -227,69 +556,498 @@ function showWelcome() {
     `${totalRefs.toLocaleString()} references across ${totalBooks} books, from ${totalWorks} works.`;
 }
 
-// ── KJV text loading ──────────────────────────────────────────────────────────
-async function loadKJV() {
-  if (kjvData) return kjvData;
-  if (!kjvLoadPromise) {
-    kjvLoadPromise = fetchJSON(`${DATA_ROOT}/kjv.json.zst`)
-      .then(d => { kjvData = d; return d; })
-      .catch(() => null); // KJV text is optional; verse table still works without it
+// ── Scripture text loading ────────────────────────────────────────────────────
+//
+// data/static/translations.json lists the available texts, each a file in
+// the kjv.json.zst shape ({slug: {ch: {v: text}}}):
+//   { "default": "kjv",
+//     "translations": [
+//       { "id": "kjv", "abbr": "KJV", "name": "King James Version", "file": "kjv.json.zst" },
+//       { "id": "drb", "abbr": "DRB", "name": "Douay-Rheims", "file": "drb.json.zst",
+//         "versification": "greek" } ] }
+// tools/build-translation.js adds an entry from an eBible.org text. A
+// "versification" other than english marks a text numbered like the
+// LXX/Vulgate; its verses are renumbered into the scheme being shown.
+// Until the manifest arrives (or without one) only the KJV is offered, and
+// translations asked for by the URL are applied once it does. Each text
+// loads on first use.
+//
+// The data in this repository ships the KJV alone: the Douay-Rheims entry
+// above is an example, not a file that exists. With one translation the
+// parallel picker stays hidden, so the parallel view needs a second text
+// built with tools/build-translation.js first.
+
+const FALLBACK_TRANSLATIONS = {
+  default: "kjv",
+  translations: [{ id: "kjv", abbr: "KJV", name: "King James Version", file: "kjv.json.zst" }],
+};
+let translations = FALLBACK_TRANSLATIONS.translations;
+let defaultTranslation = "kjv";
+let requestedTranslations = null; // [active, parallel] last asked for, re-checked when the manifest loads
+const translationData = new Map();     // id → payload, or null if it failed to load
+const translationPromises = new Map(); // id → pending load
+
+async function loadTranslationManifest() {
+  let manifest;
+  try {
+    manifest = await fetchJSON(`${DATA_ROOT}/translations.json`);
+  } catch {
+    manifest = FALLBACK_TRANSLATIONS;
+  }
+  translations = manifest.translations?.length ? manifest.translations : FALLBACK_TRANSLATIONS.translations;
+  defaultTranslation = translations.some(t => t.id === manifest.default) ? manifest.default : translations[0].id;
+  if (!requestedTranslations) { // no route applied yet; it will pick the default
+    activeTranslation = defaultTranslation;
+    renderTranslationSwitcher();
+    return;
+  }
+  const before = `${activeTranslation} ${parallelTranslation}`;
+  setTranslations(...requestedTranslations);
+  if (`${activeTranslation} ${parallelTranslation}` !== before) refreshScriptureText();
+}
+
+function translationInfo(id) {
+  return translations.find(t => t.id === id) ?? null;
+}
+
+async function loadTranslation(id) {
+  if (translationData.has(id)) return translationData.get(id);
+  if (!translationPromises.has(id)) {
+    const info = translationInfo(id);
+    const load = info ? fetchJSON(`${DATA_ROOT}/${info.file}`) : Promise.reject(new Error(`Unknown translation ${id}`));
+    translationPromises.set(id, load
+      .catch(() => null) // scripture text is optional; verse table still works without it
+      .then(d => { translationData.set(id, d); return d; }));
+  }
+  return translationPromises.get(id);
+}
+
+// The active text and, if one is chosen, the parallel one.
+function loadScriptureText() {
+  return Promise.all([
+    loadTranslation(activeTranslation),
+    parallelTranslation ? loadTranslation(parallelTranslation) : null,
+  ]);
+}
+
+const versifiedText = new Map(); // "id scheme slug" → {ch: {v: text}} renumbered
+
+// One chapter ({v: text}) of an already-loaded translation, numbered in the
+// active scheme, or null.
+function chapterText(slug, chapter, id = activeTranslation) {
+  const book = translationData.get(id)?.[slug];
+  if (!book) return null;
+  const scheme = translationInfo(id)?.versification ?? "english";
+  if (scheme === versification || !VERSIFICATION_MAPS[`${scheme}>${versification}`]?.[slug]) {
+    return book[String(chapter)] ?? null;
+  }
+  const key = `${id} ${versification} ${slug}`;
+  if (!versifiedText.has(key)) {
+    const out = {};
+    for (const [ch, verses] of Object.entries(book)) {
+      for (const [v, text] of Object.entries(verses)) {
+        const m = mapVerseRef(slug, Number(ch), v, scheme, versification);
+        if (m.unmapped) continue; // no counterpart in this scheme
+        const chOut = out[m.ch] || (out[m.ch] = {});
+        chOut[m.v] = text;
+      }
+    }
+    versifiedText.set(key, out);
+  }
+  return versifiedText.get(key)[String(chapter)] ?? null;
+}
+
+// The text of a ref's verses ("4-7,9" joined), or null if not loaded / absent.
+function verseText(slug, chapter, v, id = activeTranslation) {
+  const chText = chapterText(slug, chapter, id);
+  const ranges = v == null ? null : refVerseRanges(v);
+  if (!chText || !ranges) return null;
+  const last = Math.max(...Object.keys(chText).map(Number));
+  const verses = versesInRanges(ranges, last).filter(n => n <= last && chText[n]);
+  return verses.length ? verses.map(n => chText[n]).join(" ") : null;
+}
+
+function renderTranslationSwitcher() {
+  translationSelectEl.innerHTML = "";
+  parallelSelectEl.innerHTML = `<option value="">No parallel text</option>`;
+  for (const t of translations) {
+    translationSelectEl.appendChild(new Option(t.abbr, t.id, false, t.id === activeTranslation));
+    translationSelectEl.lastChild.title = t.name;
+    if (t.id !== activeTranslation) {
+      parallelSelectEl.appendChild(new Option(`+ ${t.abbr}`, t.id, false, t.id === parallelTranslation));
+      parallelSelectEl.lastChild.title = t.name;
+    }
   }
-  return kjvLoadPromise;
+  translationBarEl.hidden = false;
+  parallelSelectEl.hidden = translations.length < 2;
+}
+
+function setTranslations(active, parallel) {
+  requestedTranslations = [active, parallel];
+  activeTranslation = translationInfo(active) ? active : defaultTranslation;
+  parallelTranslation = parallel !== activeTranslation && translationInfo(parallel) ? parallel : "";
+  renderTranslationSwitcher();
 }
 
+// Re-render whatever scripture text is on screen after a translation change.
+async function refreshScriptureText() {
+  updateRoute({ replace: true });
+  await loadScriptureText();
+  if (activeMode !== "scripture" || activeChapter === null) return;
+  const bookData = displayBook(activeBook);
+  const chData = bookData?.chapters.find(c => c.ch === activeChapter);
+  if (!bookData) return;
+  if (activeVerse === null) renderVerseView(bookData, chData, chapterText(activeBook, activeChapter));
+  else if (activeVerse !== "all" && chData) renderVerseBanner(chData, activeVerse, chapterText(activeBook, activeChapter));
+}
+
+translationSelectEl.addEventListener("change", () => {
+  setTranslations(translationSelectEl.value, parallelTranslation);
+  refreshScriptureText();
+});
+
+parallelSelectEl.addEventListener("change", () => {
+  setTranslations(activeTranslation, parallelSelectEl.value);
+  refreshScriptureText();
+});
+
 // ── Passage text loading ───────────────────────────────────────────────────────
 async function loadPassages() {
   if (passagesData) return passagesData;
   if (!passagesLoadPromise) {
     passagesLoadPromise = fetchJSON(`${DATA_ROOT}/passages.json.zst`)
-      .then(d => { passagesData = d; return d; });
+      .then(d => { passagesData = d; return d; })
+      .catch(err => { passagesLoadPromise = null; throw err; }); // retried on next use
   }
   return passagesLoadPromise;
 }
 
+// ── Aggregate counts loading ──────────────────────────────────────────────────
+async function loadAggregates() {
+  if (aggregatesData) return aggregatesData;
+  if (!aggregatesLoadPromise) {
+    aggregatesLoadPromise = fetchJSON(`${DATA_ROOT}/aggregates.json.zst`)
+      .then(d => { aggregatesData = d; return d; })
+      .catch(() => null); // optional; callers fall back to the manuscripts
+  }
+  return aggregatesLoadPromise;
+}
+
+// How many of these works need their manuscript downloaded to be counted:
+// those neither counted already nor covered by aggregates.json.
+async function manuscriptsToCount(works) {
+  const agg = await loadAggregates();
+  return works.filter(w => !workCountsCache.has(w.id) && !agg?.works?.[w.id]).length;
+}
+
+// ── Versification ─────────────────────────────────────────────────────────────
+//
+// The Greek and Latin Bibles number the Psalms differently from the Hebrew
+// (and so English) ones — LXX/Vulgate 22 is English 23 — and carry Greek
+// additions in Daniel and Esther. Refs are stored as their source printed
+// them; here they are renumbered at display time into the chosen scheme,
+// keeping the original so cards can show both.
+//
+// A work's refs are taken to use English numbering unless its index.json
+// entry says otherwise ("versification": "greek"), which the builder only
+// writes for editions known to follow the LXX/Vulgate. Category is no guide:
+// Patristic refs overwhelmingly use English numbers already. Index chapter
+// counts don't say which work they came from, so they move as English until
+// the book is opened. Within a psalm, verse numbers are kept as printed: the
+// Vulgate's habit of counting the title as verse 1 is not corrected. Charts
+// and profiles count refs as recorded.
+
+const VERSIFICATION_SCHEMES = {
+  english: { label: "English numbering", abbr: "Eng." },
+  greek:   { label: "LXX / Vulgate numbering", abbr: "LXX/Vg." },
+};
+
+// Chapters a..b inclusive
+const chapterSpan = (a, b) => Array.from({ length: b - a + 1 }, (_, i) => a + i);
+
+// Spans that differ between schemes, by book slug: [chapter, fromVerse,
+// toVerse, targetChapter, verseOffset]. targetChapter null = no counterpart
+// (the Greek additions). Anything not covered keeps its numbering.
+const VERSIFICATION_MAPS = {
+  "greek>english": {
+    psalms: [
+      [9, 22, Infinity, 10, -21],
+      ...chapterSpan(10, 112).map(c => [c, 1, Infinity, c + 1, 0]),
+      [113, 1, 8, 114, 0], [113, 9, Infinity, 115, -8],
+      [114, 1, Infinity, 116, 0], [115, 1, Infinity, 116, 9],
+      ...chapterSpan(116, 145).map(c => [c, 1, Infinity, c + 1, 0]),
+      [146, 1, Infinity, 147, 0], [147, 1, Infinity, 147, 11],
+      [151, 1, Infinity, null, 0],
+    ],
+    daniel: [
+      [3, 24, 90, null, 0], [3, 91, Infinity, 3, -67], // Prayer of Azariah & Song of the Three
+      [13, 1, Infinity, null, 0], [14, 1, Infinity, null, 0], // Susanna; Bel and the Dragon
+    ],
+    esther: [[10, 4, Infinity, null, 0], ...chapterSpan(11, 16).map(c => [c, 1, Infinity, null, 0])],
+  },
+  "english>greek": {
+    psalms: [
+      [10, 1, Infinity, 9, 21],
+      ...chapterSpan(11, 113).map(c => [c, 1, Infinity, c - 1, 0]),
+      [114, 1, Infinity, 113, 0], [115, 1, Infinity, 113, 8],
+      [116, 1, 9, 114, 0], [116, 10, Infinity, 115, -9],
+      ...chapterSpan(117, 146).map(c => [c, 1, Infinity, c - 1, 0]),
+      [147, 1, 11, 146, 0], [147, 12, Infinity, 147, -11],
+    ],
+    daniel: [[3, 24, Infinity, 3, 67]],
+  },
+};
+
+// Whether any of the book's numbering differs between the schemes.
+function hasVersificationMap(slug) {
+  return Object.values(VERSIFICATION_MAPS).some(map => map[slug]);
+}
+
+function sourceScheme(workId) {
+  const scheme = worksById.get(workId)?.versification;
+  return VERSIFICATION_SCHEMES[scheme] ? scheme : "english";
+}
+
+// Renumber one ref location. The span is chosen by the first verse cited
+// (verse 1 for whole-chapter refs) and its offset applied to every verse.
+// Returns { ch, v, unmapped } — unmapped refs keep their numbering.
+function mapVerseRef(slug, chapter, v, from, to) {
+  const spans = from === to ? null : VERSIFICATION_MAPS[`${from}>${to}`]?.[slug];
+  if (!spans) return { ch: chapter, v, unmapped: false };
+  const ranges = v === null ? null : refVerseRanges(v);
+  const first = ranges ? ranges[0][0] : v === null ? 1 : parseInt(v, 10) || 1;
+  const span = spans.find(([c, lo, hi]) => c === chapter && first >= lo && first <= hi);
+  if (!span) return { ch: chapter, v, unmapped: false };
+  const [, , , target, offset] = span;
+  if (target === null) return { ch: chapter, v, unmapped: true };
+  const shifted = !offset || v === null ? v
+    : ranges ? formatVerseRanges(ranges.map(([a, b]) => [a + offset, b + offset]))
+    : String(first + offset);
+  return { ch: target, v: shifted, unmapped: false };
+}
+
+// Other-scheme chapters covering a displayed chapter, e.g. English Psalm 116
+// → LXX/Vulgate [114, 115]. Empty when the numbering agrees.
+function altChapters(slug, chapter) {
+  const other = versification === "english" ? "greek" : "english";
+  const spans = VERSIFICATION_MAPS[`${versification}>${other}`]?.[slug] ?? [];
+  const targets = [...new Set(spans.filter(([c]) => c === chapter).map(([, , , t]) => t).filter(t => t !== null))];
+  return targets.length && !(targets.length === 1 && targets[0] === chapter) ? targets : [];
+}
+
+function altChapterLabel(slug, chapter) {
+  const alt = altChapters(slug, chapter);
+  if (!alt.length) return "";
+  const other = versification === "english" ? "greek" : "english";
+  return ` (${VERSIFICATION_SCHEMES[other].abbr} ${alt.join("–")})`;
+}
+
+// A ref's original numbering, when it was printed in another scheme, for
+// display next to the renumbered one.
+function refAltLabel(ref) {
+  if (!ref.orig) return "";
+  const { ch, v, scheme, unmapped } = ref.orig;
+  const loc = v === null ? `${ch}` : `${ch}:${v}`;
+  return unmapped
+    ? `${VERSIFICATION_SCHEMES[scheme].abbr} only`
+    : `${VERSIFICATION_SCHEMES[scheme].abbr} ${loc}`;
+}
+
+const versifiedBooks = new Map(); // "scheme slug" → book payload with renumbered refs
+
+// The cached book payload with refs moved into the active scheme's chapters.
+// Refs printed in another scheme are copied with { orig } recording where
+// they came from.
+function displayBook(slug) {
+  const raw = bookCache.get(slug);
+  if (!raw || !hasVersificationMap(slug)) return raw;
+  const key = `${versification} ${slug}`;
+  if (versifiedBooks.has(key)) return versifiedBooks.get(key);
+
+  const chapters = new Map();
+  for (const chData of raw.chapters) {
+    for (const ref of chData.refs) {
+      const scheme = sourceScheme(ref.w);
+      let ch = chData.ch, out = ref;
+      if (scheme !== versification) {
+        const m = mapVerseRef(slug, chData.ch, ref.v, scheme, versification);
+        if (m.ch !== chData.ch || m.v !== ref.v || m.unmapped) {
+          out = { ...ref, v: m.v, orig: { ch: chData.ch, v: ref.v, scheme, unmapped: m.unmapped } };
+          ch = m.ch;
+        }
+      }
+      if (!chapters.has(ch)) chapters.set(ch, { ch, refs: [] });
+      chapters.get(ch).refs.push(out);
+    }
+    if (!chapters.has(chData.ch)) chapters.set(chData.ch, { ch: chData.ch, refs: [] });
+  }
+  const book = { ...raw, chapters: [...chapters.values()].sort((a, b) => a.ch - b.ch) };
+  versifiedBooks.set(key, book);
+  return book;
+}
+
+const versifiedIndexCache = new Map(); // "scheme slug" → chapter summaries
+
+// Index chapter summaries ({ ch, count, by_cat }) in the active scheme. Counts
+// move as English-numbered at chapter level (verse 1's span), so a split
+// psalm's counts land in one chapter until the book itself is opened.
+function displayIndexChapters(book) {
+  if (!hasVersificationMap(book.slug)) return indexChapters(book);
+  const key = `${versification} ${book.slug}`;
+  if (versifiedIndexCache.has(key)) return versifiedIndexCache.get(key);
+
+  const chapters = new Map();
+  for (const entry of indexChapters(book)) {
+    for (const [cat, n] of Object.entries(entry.by_cat || { Other: entry.count })) {
+      const m = mapVerseRef(book.slug, entry.ch, null, "english", versification);
+      const ch = m.unmapped ? entry.ch : m.ch;
+      if (!chapters.has(ch)) chapters.set(ch, { ch, count: 0, by_cat: {} });
+      const out = chapters.get(ch);
+      out.count += n;
+      out.by_cat[cat] = (out.by_cat[cat] || 0) + n;
+    }
+  }
+  const result = [...chapters.values()].sort((a, b) => a.ch - b.ch);
+  versifiedIndexCache.set(key, result);
+  return result;
+}
+
+function setVersification(scheme) {
+  versification = VERSIFICATION_SCHEMES[scheme] ? scheme : "english";
+  versificationEl.value = versification;
+}
+
+versificationEl.addEventListener("change", () => {
+  const previous = versification;
+  setVersification(versificationEl.value);
+  renderSidebar(searchEl.value);
+  if (activeMode === "scripture" && activeChapter !== null) {
+    // Stay on the same passage under its new number.
+    const verseKey = activeVerse === null || activeVerse === "all" || activeVerse === "whole" ? null : activeVerse;
+    const m = mapVerseRef(activeBook, activeChapter, verseKey, previous, versification);
+    const chapter = m.unmapped ? activeChapter : m.ch;
+    if (activeVerse === null) showVerseView(activeBook, chapter);
+    else if (activeVerse === "all") loadChapter(activeBook, chapter);
+    else openCitations(activeBook, chapter, verseKey === null || m.unmapped ? activeVerse : m.v);
+  } else if (activeMode === "works" && activeWorkId !== null) {
+    loadWork(activeWorkId);
+  } else {
+    updateRoute({ replace: true });
+  }
+});
+
 // ── Verse selection view ──────────────────────────────────────────────────────
 
 // Return the primary verse key for a ref.v value:
 //   null      → "whole"
 //   "13"      → "13"
 //   "13-17"   → "13"  (first verse of range)
+// Only used as a fallback for `v` values the range parser can't read.
 function primaryVerseKey(v) {
   if (v === null) return "whole";
   const m = v.match(/^(\d+)/);
   return m ? m[1] : v;
 }
 
+// ref.v → parsed [from, to] ranges (open-ended "ff." ranges end at Infinity)
+const verseRangesCache = new Map();
+
+function refVerseRanges(v) {
+  if (v === null) return null;
+  if (!verseRangesCache.has(v)) verseRangesCache.set(v, parseVerseRanges(v));
+  return verseRangesCache.get(v);
+}
+
+// The view key for everything a ref covers: "whole", "13", "13-17", "13,15".
+function refVerseKey(v) {
+  const ranges = refVerseRanges(v);
+  return ranges ? formatVerseRanges(ranges) : primaryVerseKey(v);
+}
+
+// Group refs into verse buckets ("whole" or a verse number). In "ranges"
+// mode a ref lands in every verse it covers; in "direct" mode only in the
+// verses it cites on their own ("13-17" counts nowhere, "13, 15" in both).
+// chapterLen is where open-ended ("ff.") ranges stop.
+function groupRefsByVerse(refs, chapterLen, mode = verseCountMode) {
+  const groups = new Map(); // key → refs[]
+  const add = (key, ref) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(ref);
+  };
+  for (const ref of refs) {
+    if (ref.v === null) { add("whole", ref); continue; }
+    const ranges = refVerseRanges(ref.v);
+    if (!ranges) { add(primaryVerseKey(ref.v), ref); continue; }
+    for (const [from, to] of ranges) {
+      if (mode === "direct") {
+        if (from === to) add(String(from), ref);
+      } else {
+        const end = to === Infinity ? Math.max(from, chapterLen) : to;
+        for (let n = from; n <= end; n++) add(String(n), ref);
+      }
+    }
+  }
+  return groups;
+}
+
+// Number of verses in a chapter: from the text when loaded, else the highest
+// verse any ref names explicitly.
+function chapterLength(chData, textChapter) {
+  if (textChapter) return Math.max(...Object.keys(textChapter).map(Number));
+  let max = 1;
+  for (const ref of chData.refs)
+    for (const [from, to] of refVerseRanges(ref.v) || [])
+      max = Math.max(max, from, Number.isFinite(to) ? to : from);
+  return max;
+}
+
 async function showVerseView(bookSlug, chapter) {
   activeBook    = bookSlug;
   activeChapter = chapter;
   activeVerse   = null;
   setMode('scripture');
   renderSidebar(searchEl.value);
+  updateRoute();
 
   const bookInfo = index.books.find(b => b.slug === bookSlug);
-  verseTitleEl.textContent = bookInfo ? `${bookInfo.name} ${chapter}` : `${bookSlug} ${chapter}`;
+  verseTitleEl.textContent = (bookInfo ? `${bookInfo.name} ${chapter}` : `${bookSlug} ${chapter}`) + altChapterLabel(bookSlug, chapter);
   verseTbodyEl.innerHTML = `<tr><td colspan="3" class="loading" style="padding:.75rem">Loading…</td></tr>`;
 
-  let bookData, kjv;
+  let bookData;
   try {
-    [bookData, kjv] = await Promise.all([
-      bookCache.has(bookSlug)
-        ? Promise.resolve(bookCache.get(bookSlug))
-        : fetchJSON(`${DATA_ROOT}/bible/${bookSlug}.json.zst`).then(d => { bookCache.set(bookSlug, d); return d; }),
-      loadKJV(),
-    ]);
+    [bookData] = await Promise.all([fetchBook(bookSlug), loadScriptureText()]);
   } catch (err) {
     verseTbodyEl.innerHTML = `<tr><td colspan="3" class="no-refs">Could not load chapter data.</td></tr>`;
     return;
   }
 
   const chData = bookData.chapters.find(c => c.ch === chapter);
-  const kjvChapter = kjv?.[bookSlug]?.[String(chapter)] ?? null;
-  renderVerseTable(bookData, chData, kjvChapter);
+  renderVerseView(bookData, chData, chapterText(bookSlug, chapter));
+}
+
+// Table or reading layout. Reading needs some text for the chapter (active or
+// parallel); without any (e.g. a book the translation lacks) the table is
+// shown instead.
+function renderVerseView(bookData, chData, textChapter) {
+  const parallelChapter = parallelTranslation ? chapterText(activeBook, activeChapter, parallelTranslation) : null;
+  const reading = verseLayout === "reading" && (textChapter !== null || parallelChapter !== null);
+  verseTableWrapEl.hidden = reading;
+  readingViewEl.hidden    = !reading;
+  closeCitationDrawer();
+  if (reading) renderReadingText(bookData, chData, textChapter);
+  else renderVerseTable(bookData, chData, textChapter);
+}
+
+// A chapter's refs from works in the checked categories and year range.
+function visibleChapterRefs(chData) {
+  const cats = checkedCategories();
+  return chData.refs.filter(ref => {
+    const work = worksById.get(ref.w);
+    return work && workInFilters(work, cats);
+  });
 }
 
-function renderVerseTable(bookData, chData, kjvChapter) {
+function renderVerseTable(bookData, chData, textChapter) {
   verseTbodyEl.innerHTML = "";
 
   if (!chData || !chData.refs.length) {
@@ -297,21 +1055,11 @@ function renderVerseTable(bookData, chData, kjvChapter) {
     return;
   }
 
-  const cats = checkedCategories();
-
-  // Group refs by primary verse key, respecting active category filters
-  const groups = new Map(); // key → refs[]
-  for (const ref of chData.refs) {
-    const work = worksById.get(ref.w);
-    if (!work) continue;
-    if (!cats.has(work.category || "Other")) continue;
-    const key = primaryVerseKey(ref.v);
-    if (!groups.has(key)) groups.set(key, []);
-    groups.get(key).push(ref);
-  }
+  // Group refs by verse, respecting active category filters and count mode
+  const groups = groupRefsByVerse(visibleChapterRefs(chData), chapterLength(chData, textChapter));
 
   if (!groups.size) {
-    verseTbodyEl.innerHTML = `<tr><td colspan="3" class="no-refs">No references for selected categories.</td></tr>`;
+    verseTbodyEl.innerHTML = `<tr><td colspan="3" class="no-refs">No references for the selected categories and years.</td></tr>`;
     return;
   }
 
@@ -342,7 +1090,7 @@ function renderVerseTable(bookData, chData, kjvChapter) {
       verseText  = "";
     } else {
       verseLabel = `v.\u00a0${key}`;
-      const raw = kjvChapter?.[key] ?? "";
+      const raw = textChapter?.[key] ?? "";
       verseText  = raw.length > 140 ? raw.slice(0, 137) + "…" : raw;
     }
 
@@ -352,14 +1100,145 @@ function renderVerseTable(bookData, chData, kjvChapter) {
       <td class="verse-count-cell">${count}</td>
     `;
 
-    tr.addEventListener("click", () => loadChapterFiltered(bookData, chData, key, kjvChapter));
-    tr.addEventListener("keydown", e => { if (e.key === "Enter" || e.key === " ") loadChapterFiltered(bookData, chData, key, kjvChapter); });
+    tr.addEventListener("click", () => loadChapterFiltered(bookData, chData, key, textChapter));
+    tr.addEventListener("keydown", e => { if (e.key === "Enter" || e.key === " ") loadChapterFiltered(bookData, chData, key, textChapter); });
 
     verseTbodyEl.appendChild(tr);
   }
 }
 
-async function loadChapterFiltered(bookData, chData, verseKey, kjvChapter) {
+// ── Reading mode ──────────────────────────────────────────────────────────────
+
+let _drawerSeq = 0;
+
+function setVerseLayout(layout) {
+  verseLayout = layout;
+  verseLayoutEl.value = layout;
+}
+
+// The whole chapter as running text; each cited verse carries a heat-coloured
+// count and opens its citations in the side drawer.
+function renderReadingText(bookData, chData, textChapter) {
+  readingTextEl.innerHTML = "";
+  const groups = chData
+    ? groupRefsByVerse(visibleChapterRefs(chData), chapterLength(chData, textChapter))
+    : new Map();
+  const maxCount = Math.max(1, ...[...groups.values()].map(r => r.length));
+
+  const makeClickable = (el, key) => {
+    el.setAttribute("role", "button");
+    el.setAttribute("tabindex", "0");
+    el.addEventListener("click", () => openCitationDrawer(bookData, chData, key, textChapter));
+    el.addEventListener("keydown", e => {
+      if (e.key === "Enter" || e.key === " ") { e.preventDefault(); openCitationDrawer(bookData, chData, key, textChapter); }
+    });
+  };
+
+  const whole = groups.get("whole");
+  if (whole) {
+    const btn = document.createElement("p");
+    btn.className = "reading-whole";
+    btn.dataset.v = "whole";
+    btn.innerHTML = `Whole chapter <sup class="reading-count" data-heat="${heatLevel(whole.length, maxCount)}">${whole.length}</sup>`;
+    makeClickable(btn, "whole");
+    readingTextEl.appendChild(btn);
+  }
+
+  // With a parallel text, one row per verse in two columns; else running text.
+  const parallelChapter = parallelTranslation ? chapterText(activeBook, activeChapter, parallelTranslation) : null;
+  const verseNums = [...new Set([...Object.keys(textChapter || {}), ...Object.keys(parallelChapter || {})])]
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  const container = document.createElement("div");
+  container.className = parallelChapter ? "reading-parallel" : "reading-para";
+  if (parallelChapter) {
+    for (const id of [activeTranslation, parallelTranslation]) {
+      const th = document.createElement("div");
+      th.className = "reading-col-head";
+      th.textContent = translationInfo(id)?.name ?? id;
+      container.appendChild(th);
+    }
+  }
+
+  for (const n of verseNums) {
+    const count = groups.get(String(n))?.length || 0;
+    const span = document.createElement("span");
+    span.className = "reading-verse";
+    span.dataset.v = n;
+    span.innerHTML = `<sup class="reading-num">${n}</sup>${esc(textChapter?.[n] ?? "")}`
+      + (count ? `<sup class="reading-count" data-heat="${heatLevel(count, maxCount)}" title="${count} citation${count !== 1 ? "s" : ""}">${count}</sup>` : "");
+    if (count) makeClickable(span, String(n));
+    container.appendChild(span);
+    if (parallelChapter) {
+      const other = document.createElement("span");
+      other.className = "reading-verse-parallel";
+      other.innerHTML = parallelChapter[n] != null ? `<sup class="reading-num">${n}</sup>${esc(parallelChapter[n])}` : "";
+      container.appendChild(other);
+    } else {
+      container.appendChild(document.createTextNode(" "));
+    }
+  }
+  readingTextEl.appendChild(container);
+}
+
+// Side drawer with the same cards loadChapterFiltered() would show.
+async function openCitationDrawer(bookData, chData, verseKey, textChapter) {
+  const seq = ++_drawerSeq;
+  const ranges = verseKey === "whole" ? null : parseVerseRanges(verseKey);
+  const cats = checkedCategories();
+  const refs = chData.refs.filter(ref =>
+    refInVerseKey(ref, verseKey, ranges) && workInFilters(worksById.get(ref.w) || {}, cats));
+
+  for (const el of readingTextEl.querySelectorAll("[data-v]"))
+    el.classList.toggle("selected", el.dataset.v === verseKey);
+
+  const bookName = index.books.find(b => b.slug === activeBook)?.name ?? activeBook;
+  const label = verseKey === "whole" ? `${bookName} ${chData.ch} — whole chapter` : `${bookName} ${chData.ch}:${verseKey}`;
+  drawerTitleEl.textContent = `${label} · ${refs.length} citation${refs.length !== 1 ? "s" : ""}`;
+  drawerFullEl.onclick = () => loadChapterFiltered(bookData, chData, verseKey, textChapter);
+  setRefListMessage(drawerRefsEl, `<p class="loading">Loading…</p>`);
+  readingViewEl.classList.add("drawer-open");
+  drawerEl.hidden = false;
+
+  try {
+    await loadPassages();
+  } catch {
+    if (seq === _drawerSeq) setRefListMessage(drawerRefsEl, `<p class="no-refs">Could not load the passage text.</p>`);
+    return;
+  }
+  if (seq !== _drawerSeq) return;
+  const entries = [];
+  for (const ref of refs) {
+    const work = worksById.get(ref.w);
+    if (work) entries.push(refEntry(work, ref, bookData.book, chData.ch));
+  }
+  setRefList(drawerRefsEl, entries);
+  renderRefList(drawerRefsEl);
+  drawerEl.scrollTop = 0;
+}
+
+function closeCitationDrawer() {
+  _drawerSeq++;
+  drawerEl.hidden = true;
+  readingViewEl.classList.remove("drawer-open");
+  for (const el of readingTextEl.querySelectorAll(".selected")) el.classList.remove("selected");
+}
+
+document.getElementById("drawer-close").addEventListener("click", closeCitationDrawer);
+
+verseLayoutEl.addEventListener("change", () => {
+  setVerseLayout(verseLayoutEl.value);
+  const bookData = displayBook(activeBook);
+  const chData = bookData?.chapters.find(c => c.ch === activeChapter);
+  if (bookData && activeVerse === null) {
+    const textChapter = chapterText(activeBook, activeChapter);
+    renderVerseView(bookData, chData, textChapter);
+  }
+  updateRoute({ replace: true });
+});
+
+async function loadChapterFiltered(bookData, chData, verseKey, textChapter) {
   activeVerse = verseKey;
 
   verseViewEl.hidden   = true;
@@ -367,335 +1246,2258 @@ async function loadChapterFiltered(bookData, chData, verseKey, kjvChapter) {
 
   await loadPassages();
 
+  // verseKey is "whole", a single verse ("13") or a range/list ("4-7,9")
+  const ranges = verseKey === "whole" ? null : parseVerseRanges(verseKey);
+  const verseLabel = ranges ? formatVerseRanges(ranges, ", ") : verseKey;
+
   // Update chapter title to include verse
   const bookInfo = index.books.find(b => b.slug === activeBook);
   const bookName = bookInfo ? bookInfo.name : activeBook;
   if (verseKey === "whole") {
-    chapterTitle.textContent = `${bookName} ${activeChapter} — whole chapter`;
+    chapterTitle.textContent = `${bookName} ${activeChapter} — whole chapter${altChapterLabel(activeBook, activeChapter)}`;
   } else {
-    chapterTitle.textContent = `${bookName} ${activeChapter}:${verseKey}`;
+    chapterTitle.textContent = `${bookName} ${activeChapter}:${verseLabel}${altChapterLabel(activeBook, activeChapter)}`;
   }
 
-  // Show verse banner with KJV text
-  if (verseKey !== "whole" && kjvChapter?.[verseKey]) {
-    verseBannerRefEl.textContent = `${bookName} ${activeChapter}:${verseKey} (KJV)`;
-    verseBannerTextEl.textContent = kjvChapter[verseKey];
-    verseBannerEl.hidden = false;
-  } else {
-    verseBannerEl.hidden = true;
-  }
+  renderVerseBanner(chData, verseKey, textChapter);
 
-  // Filter refs to only those matching verseKey
-  const filteredRefs = chData.refs.filter(ref => primaryVerseKey(ref.v) === verseKey);
+  // Filter refs to those whose verse falls inside the selection
+  const filteredRefs = chData.refs.filter(ref => refInVerseKey(ref, verseKey, ranges));
 
-  // Populate author filter
-  const authors = [...new Set(filteredRefs.map(r => worksById.get(r.w)?.author ?? "Unknown"))].sort();
-  authorFilter.innerHTML = `<option value="">All authors</option>`;
-  for (const a of authors) {
-    const opt = document.createElement("option");
-    opt.value = a;
-    opt.textContent = a;
-    authorFilter.appendChild(opt);
+  clearRefFilter(chapterRefFilter);
+  updateRoute();
+
+  const entries = [];
+  for (const ref of cardRefs(filteredRefs)) {
+    const work = worksById.get(ref.w);
+    if (work) entries.push(refEntry(work, ref, bookData.book, activeChapter));
   }
+  setRefList(refsListEl, entries);
 
-  refsListEl.innerHTML = "";
+  arrangeChapterRefs();
+  applyCombinedFilter();
+}
 
-  for (const ref of filteredRefs) {
-    const work = worksById.get(ref.w);
-    if (!work) continue;
+// Verse banner over the filtered citations: the selected verses in the active
+// translation, plus the parallel one when chosen (verse numbers inline when
+// the selection spans several).
+function renderVerseBanner(chData, verseKey, textChapter) {
+  const ranges = verseKey === "whole" ? null : parseVerseRanges(verseKey);
+  const parallelChapter = parallelTranslation ? chapterText(activeBook, activeChapter, parallelTranslation) : null;
+  const texts = [[activeTranslation, textChapter], [parallelTranslation, parallelChapter]]
+    .filter(([, chText]) => chText)
+    .map(([id, chText]) => {
+      const verses = ranges ? versesInRanges(ranges, chapterLength(chData, chText)).filter(n => chText[n]) : [];
+      const body = verses.length === 1 ? chText[verses[0]] : verses.map(n => `${n} ${chText[n]}`).join(" ");
+      return { abbr: translationInfo(id)?.abbr ?? id, body };
+    })
+    .filter(t => t.body);
 
-    const card = document.createElement("article");
-    card.className = "ref-card";
-    card.dataset.author   = work.author;
-    card.dataset.category = work.category || "Other";
+  if (!texts.length) {
+    verseBannerEl.hidden = true;
+    return;
+  }
+  const bookName = index.books.find(b => b.slug === activeBook)?.name ?? activeBook;
+  verseBannerRefEl.textContent = `${bookName} ${activeChapter}:${formatVerseRanges(ranges, ", ")} (${texts.map(t => t.abbr).join(" · ")})`;
+  const [main, second] = texts;
+  verseBannerTextEl.innerHTML = second ? `<span class="banner-abbr">${esc(main.abbr)}</span> ${esc(main.body)}` : esc(main.body);
+  verseBannerParallelEl.hidden = !second;
+  verseBannerParallelEl.innerHTML = second ? `<span class="banner-abbr">${esc(second.abbr)}</span> ${esc(second.body)}` : "";
+  verseBannerEl.hidden = false;
+}
+
+// Does a ref belong in the filtered view for verseKey? It must overlap the
+// selected verses — with one of its single verses only, in "direct" mode.
+function refInVerseKey(ref, verseKey, ranges) {
+  if (verseKey === "whole") return ref.v === null;
+  if (ref.v === null) return false;
+  const covered = refVerseRanges(ref.v);
+  if (!ranges || !covered) return primaryVerseKey(ref.v) === verseKey;
+  const directOnly = verseCountMode === "direct";
+  return covered.some(([from, to]) =>
+    (!directOnly || from === to) && ranges.some(([a, b]) => from <= b && to >= a));
+}
 
-    const verseTag = ref.v
-      ? `<span class="ref-verse-tag">v.\u00a0${esc(ref.v)}</span>`
-      : `<span class="ref-verse-tag">whole chapter</span>`;
+// Open the filtered citations view for one verse key, loading the book first.
+async function openCitations(bookSlug, chapter, verseKey) {
+  await showVerseView(bookSlug, chapter);
+  const bookData = displayBook(bookSlug);
+  const chData = bookData?.chapters.find(c => c.ch === chapter);
+  if (!chData) return;
+  const textChapter = chapterText(bookSlug, chapter);
+  await loadChapterFiltered(bookData, chData, verseKey, textChapter);
+}
 
-    const yearStr = work.year ? ` (${work.year})` : "";
-    const ccelLink = work.ccel_url
+// ── Reference cards ──────────────────────────────────────────────────────────
+//
+// A ref list is data first: setRefList() gives a list element one entry per
+// citation, and the filter panel, sort, grouping and exports all read the
+// entries (entry.data holds the fields they use). Cards are only built for
+// the stretch of the list near the viewport — see "Windowed ref lists".
+
+const refLists = new Map();   // list element → { entries, sections, open, observer }
+const cardEntries = new WeakMap(); // card → its entry
+
+// One citation as a list entry. `inWork` is the work view's variant: the
+// work's year and link are already in its header, so the tag carries the
+// book instead (`withBook` gives a card from anywhere the book).
+function refEntry(work, ref, bookName, chapter, { inWork = false, withBook = inWork } = {}) {
+  const slug = ref.book_slug ?? activeBook; // chapter refs are all in the open book
+  const citation = {
+    work: work.id, passage: ref.p, book_slug: slug, book: bookName,
+    chapter: ref.orig ? ref.orig.ch : chapter, verse: ref.orig ? ref.orig.v : ref.v,
+  };
+  return {
+    work, ref, slug, bookName, chapter, inWork, withBook, citation,
+    data: {
+      work: String(work.id), author: work.author, category: work.category || "Other",
+      book: bookName, chapter: String(chapter), verse: ref.v ?? "", passage: ref.p,
+      key: citationKey(citation),
+    },
+    hidden: false,
+    height: null,                    // px, measured when its card was last dropped
+    context: { before: 0, after: 0 }, // "More before/after" steps, replayed on rebuild
+  };
+}
+
+// An entry's card, passage and all. The dataset mirrors entry.data for the
+// annotation controls. With "Show duplicates" on, merged refs and their
+// restored copies are marked.
+function buildRefCard(entry) {
+  const { work, ref, bookName, chapter, inWork, withBook } = entry;
+  const card = document.createElement("article");
+  card.className = "ref-card" + (ref.duplicate ? " duplicate" : "");
+  Object.assign(card.dataset, entry.data);
+  cardEntries.set(card, entry);
+  cardCitations.set(card, entry.citation);
+
+  let tag, yearStr = "", ccelLink = "", dupeBadge = "";
+  const alt = refAltLabel(ref);
+  if (ref.duplicate) dupeBadge = ` <span class="dupe-badge">duplicate</span>`;
+  else if (showDuplicates && ref.dupes)
+    dupeBadge = ` <span class="dupe-badge" title="${ref.dupes} identical citation${ref.dupes !== 1 ? "s" : ""} merged into this one">×${ref.dupes + 1}</span>`;
+  if (withBook) tag = ref.v ? `${esc(bookName)} ${chapter}:${esc(ref.v)}` : `${esc(bookName)} ${chapter}`;
+  else tag = ref.v ? `v.\u00a0${esc(ref.v)}` : "whole chapter";
+  if (!inWork) {
+    yearStr = work.year ? ` (${work.year})` : "";
+    ccelLink = work.ccel_url
       ? ` <a href="${esc(work.ccel_url)}" target="_blank" rel="noopener" class="ccel-link">View on CCEL ↗</a>`
       : "";
-
-    card.innerHTML = `
-      <div class="ref-meta">
-        <div>
-          <span class="ref-author">${esc(work.author)}</span>
-          <span class="ref-work"> — ${esc(work.title)}${esc(yearStr)}</span>${ccelLink}
-        </div>
-        ${verseTag}
-      </div>
-      <div class="ref-text">${highlightPassage(passagesData[ref.p], activeChapter, ref.v)}</div>
-    `;
-    refsListEl.appendChild(card);
   }
 
-  applyCombinedFilter();
+  card.innerHTML = `
+    <div class="ref-meta">
+      <div>
+        <span class="ref-author">${esc(work.author)}</span>
+        <span class="ref-work"> — ${esc(work.title)}${esc(yearStr)}</span>${ccelLink}
+      </div>
+      <button type="button" class="ref-verse-tag verse-ref" tabindex="-1" data-slug="${esc(entry.slug)}" data-ch="${chapter}" data-v="${esc(ref.v ?? "whole")}">${tag}${alt ? ` <span class="ref-alt-num">(${esc(alt)})</span>` : ""}${dupeBadge}</button>
+    </div>
+    <div class="ref-text">${highlightPassage(passagesData?.[ref.p], String(chapter), ref.v ?? null)}</div>
+    ${annotationBarHtml(entry.data.key)}
+  `;
+  addContextControls(card, entry);
+  return card;
 }
 
-// ── Chapter loading ───────────────────────────────────────────────────────────
-async function loadChapter(bookSlug, chapter) {
-  activeBook    = bookSlug;
-  activeChapter = chapter;
-  activeVerse   = "all"; // special value: not null (verse table) but not a specific verse
-  setMode('scripture');
-  renderSidebar(searchEl.value);
+// ── Windowed ref lists ────────────────────────────────────────────────────────
+//
+// A list renders as sections (a group's <details>, or plain runs of cards)
+// whose visible entries are cut into chunks of REF_CHUNK. A chunk's cards
+// are built when it comes within REF_WINDOW_MARGIN of the viewport and
+// dropped once it is out of that range again, leaving a spacer of the height
+// they took; chunks never shown are sized at REF_CARD_HEIGHT a card. Without
+// IntersectionObserver every chunk is filled.
+
+const REF_CHUNK = 25;
+const REF_WINDOW_MARGIN = "800px 0px";
+const REF_CARD_HEIGHT = 180; // px
+const chunkEntries = new WeakMap(); // chunk element → its entries
+
+function setRefList(listEl, entries) {
+  refLists.get(listEl)?.observer?.disconnect();
+  entries.forEach((entry, i) => { entry.order = i; });
+  refLists.set(listEl, { entries, sections: [{ group: null, entries }], open: new Set(), observer: null });
+}
 
-  verseBannerEl.hidden = true;
-  refsListEl.innerHTML = `<p class="loading">Loading…</p>`;
+// Show a message ("Loading…", "No references…") in place of a list.
+function setRefListMessage(listEl, html) {
+  refLists.get(listEl)?.observer?.disconnect();
+  refLists.delete(listEl);
+  listEl.innerHTML = html;
+}
 
-  const bookInfo = index.books.find(b => b.slug === bookSlug);
-  chapterTitle.textContent = bookInfo
-    ? `${bookInfo.name} ${chapter}`
-    : `${bookSlug} ${chapter}`;
+// A list's visible entries in display order, for exports.
+function shownRefEntries(listEl) {
+  return (refLists.get(listEl)?.sections ?? []).flatMap(s => s.entries.filter(entry => !entry.hidden));
+}
 
-  let bookData;
-  try {
-    if (!bookCache.has(bookSlug)) {
-      bookCache.set(bookSlug, await fetchJSON(`${DATA_ROOT}/bible/${bookSlug}.json.zst`));
+// Rebuild a list's DOM from its sections; call after filtering.
+function renderRefList(listEl) {
+  const list = refLists.get(listEl);
+  if (!list) return;
+  list.observer?.disconnect();
+  list.observer = typeof IntersectionObserver === "undefined" ? null
+    : new IntersectionObserver(records => {
+      for (const { target, isIntersecting } of records) (isIntersecting ? fillChunk : emptyChunk)(target);
+      ensureTagTabStop(listEl);
+    }, { rootMargin: REF_WINDOW_MARGIN });
+
+  listEl.replaceChildren();
+  for (const section of list.sections) {
+    const shown = section.entries.filter(entry => !entry.hidden);
+    let parent = listEl;
+    if (section.group) {
+      if (!shown.length) continue; // a group with nothing left is left out
+      const total = section.entries.length;
+      const det = document.createElement("details");
+      det.className = "ref-group";
+      det.open = list.open.has(section.key);
+      det.innerHTML = `<summary><span class="ref-group-label">${section.group.label(section.entries[0])}</span><span class="ref-group-count">${shown.length === total ? total : `${shown.length} of ${total}`} citation${total !== 1 ? "s" : ""}</span></summary>`;
+      det.addEventListener("toggle", () => {
+        if (det.open) list.open.add(section.key);
+        else list.open.delete(section.key);
+      });
+      listEl.appendChild(det);
+      parent = det;
+    }
+    for (let i = 0; i < shown.length; i += REF_CHUNK) {
+      const members = shown.slice(i, i + REF_CHUNK);
+      const chunk = document.createElement("div");
+      chunk.className = "ref-chunk";
+      chunk.style.height = `${members.reduce((sum, entry) => sum + (entry.height ?? REF_CARD_HEIGHT), 0)}px`;
+      chunkEntries.set(chunk, members);
+      parent.appendChild(chunk);
+      if (list.observer) list.observer.observe(chunk);
+      else fillChunk(chunk);
     }
-    bookData = bookCache.get(bookSlug);
-  } catch (err) {
-    refsListEl.innerHTML = `<p class="no-refs">Could not load chapter data. Have you run the builder?</p>`;
-    return;
   }
+  ensureTagTabStop(listEl);
+}
 
-  const chData = bookData.chapters.find(c => c.ch === chapter);
-  await loadPassages();
-  renderChapter(bookData, chData);
+function fillChunk(chunk) {
+  if (chunk.firstChild) return;
+  chunk.style.height = "";
+  chunk.append(...chunkEntries.get(chunk).map(buildRefCard));
 }
 
-function renderChapter(bookData, chData) {
-  if (!chData || !chData.refs.length) {
-    refsListEl.innerHTML = `<p class="no-refs">No references found for this chapter.</p>`;
-    return;
-  }
+// A card's tag follows its reference. Within a list only one tag is a tab
+// stop (roving tabindex); the arrow keys, Home and End move between them.
+function ensureTagTabStop(listEl) {
+  if (!listEl.querySelector('.ref-verse-tag[tabindex="0"]'))
+    listEl.querySelector(".ref-verse-tag")?.setAttribute("tabindex", "0");
+}
 
-  // Populate author filter from the refs in this chapter.
-  const authors = [...new Set(chData.refs.map(r => worksById.get(r.w)?.author ?? "Unknown"))].sort();
-  authorFilter.innerHTML = `<option value="">All authors</option>`;
-  for (const a of authors) {
-    const opt = document.createElement("option");
-    opt.value = a;
-    opt.textContent = a;
-    authorFilter.appendChild(opt);
-  }
+// The ref list holding an element, if any. Search hits are cards too but in
+// no ref list; their tags have a click handler of their own.
+function refListOf(el) {
+  return [...refLists.keys()].find(listEl => listEl.contains(el)) ?? null;
+}
 
-  refsListEl.innerHTML = "";
+document.addEventListener("click", e => {
+  const tag = e.target.closest?.(".ref-card .ref-verse-tag");
+  if (!tag || !refListOf(tag)) return;
+  const { slug, ch, v } = verseRefOf(tag);
+  openCitations(slug, ch, v ? refVerseKey(v) : "whole");
+});
 
-  for (const ref of chData.refs) {
+document.addEventListener("keydown", e => {
+  if (!["ArrowDown", "ArrowUp", "Home", "End"].includes(e.key)) return;
+  const tag = e.target.closest?.(".ref-card .ref-verse-tag");
+  const listEl = tag && refListOf(tag);
+  if (!listEl) return;
+  const tags = [...listEl.querySelectorAll(".ref-verse-tag")];
+  const at = tags.indexOf(tag);
+  const next = tags[e.key === "Home" ? 0 : e.key === "End" ? tags.length - 1 : at + (e.key === "ArrowDown" ? 1 : -1)];
+  if (!next) return;
+  e.preventDefault();
+  tag.setAttribute("tabindex", "-1");
+  next.setAttribute("tabindex", "0");
+  next.focus();
+});
+
+function emptyChunk(chunk) {
+  if (!chunk.firstChild || chunk.contains(document.activeElement)) return;
+  const members = chunkEntries.get(chunk);
+  const height = chunk.offsetHeight;
+  for (const entry of members) entry.height = height / members.length;
+  chunk.style.height = `${height}px`;
+  chunk.replaceChildren();
+}
+
+// ── Passage context ───────────────────────────────────────────────────────────
+//
+// Passage ids are "<source>_<start>_<end>", character offsets into the source
+// work's text. passage-offsets.json (written by tools/build-derived.js) lists
+// each source's passages by start offset:
+//   { "sources": { "<source>": [start, length, Δstart, length, …] } }
+// each start after the first given as the step from the previous one.
+// Ordered by offset, a source's passages are each other's surroundings, so a
+// card can step outwards through them: "More before" / "More after" add the
+// nearest passage reaching past what is shown, as long as it starts or ends
+// within CONTEXT_MAX_GAP characters of it; further off is another part of the
+// work, not context. Only text around some citation is in passages.json, so a
+// gap between two passages is marked; overlapping ones are trimmed to the new
+// text where the offsets match the passage lengths. Until the offsets file is
+// in (or without it) cards have no controls.
+
+const CONTEXT_MAX_GAP = 2000;
+let passageOffsetsData;        // parsed file; null if it could not be loaded
+let passageOffsetsPromise = null;
+const passageOffsets = new Map(); // source → { starts, ends, byEnd } decoded on first use
+
+function parsePassageId(id) {
+  const m = /^(.+)_(\d+)_(\d+)$/.exec(id);
+  return m ? { source: m[1], start: Number(m[2]), end: Number(m[3]) } : null;
+}
+
+function loadPassageOffsets() {
+  if (!passageOffsetsPromise) {
+    passageOffsetsPromise = fetchJSON(`${DATA_ROOT}/passage-offsets.json.zst`, { priority: PRIORITY_BULK })
+      .catch(() => null) // optional; cards just go without context controls
+      .then(d => { passageOffsetsData = d; return d; });
+  }
+  return passageOffsetsPromise;
+}
+
+// One source's passages: starts and ends in start order, plus (on first use
+// by "after") the same positions ordered by end.
+function sourceOffsets(source) {
+  if (passageOffsets.has(source)) return passageOffsets.get(source);
+  const flat = passageOffsetsData?.sources?.[source];
+  if (!flat) return null;
+  const starts = [], ends = [];
+  for (let i = 0, start = 0; i < flat.length; i += 2) {
+    start += flat[i];
+    starts.push(start);
+    ends.push(start + flat[i + 1]);
+  }
+  const offsets = { starts, ends, byEnd: null };
+  passageOffsets.set(source, offsets);
+  return offsets;
+}
+
+// Index of the first value in a sorted array for which `below` is false.
+function bisect(length, below) {
+  let lo = 0, hi = length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (below(mid)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// The next passage of `source` outside [lo, hi], or null: before, the latest
+// one that starts earlier; after, the one that ends soonest beyond hi.
+function neighbourPassage(source, lo, hi, dir) {
+  const offsets = sourceOffsets(source);
+  if (!offsets) return null;
+  const { starts, ends } = offsets;
+  let i;
+  if (dir === "before") {
+    i = bisect(starts.length, j => starts[j] < lo) - 1;
+    if (i < 0 || ends[i] < lo - CONTEXT_MAX_GAP) return null;
+  } else {
+    offsets.byEnd ??= starts.map((_, j) => j).sort((a, b) => ends[a] - ends[b] || starts[a] - starts[b]);
+    const { byEnd } = offsets;
+    const at = bisect(byEnd.length, j => ends[byEnd[j]] <= hi);
+    if (at === byEnd.length) return null;
+    i = byEnd[at];
+    if (starts[i] > hi + CONTEXT_MAX_GAP) return null;
+  }
+  return { id: `${source}_${starts[i]}_${ends[i]}`, start: starts[i], end: ends[i] };
+}
+
+// Also replays the steps already taken on the entry's previous card.
+function addContextControls(card, entry) {
+  const p = parsePassageId(entry.data.passage);
+  if (!p) return;
+  if (passageOffsetsData === undefined) {
+    loadPassageOffsets().then(() => { if (card.isConnected) addContextControls(card, entry); });
+    return;
+  }
+  if (!sourceOffsets(p.source)) return;
+  card.dataset.ctxLo = p.start;
+  card.dataset.ctxHi = p.end;
+  const textEl = card.querySelector(".ref-text");
+  for (const dir of ["before", "after"]) {
+    if (!neighbourPassage(p.source, p.start, p.end, dir)) continue;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `ref-more ref-more-${dir}`;
+    btn.textContent = dir === "before" ? "↑ More before" : "More after ↓";
+    btn.addEventListener("click", () => {
+      entry.context[dir]++;
+      expandContext(card, p.source, dir);
+    });
+    const ctx = document.createElement("div");
+    ctx.className = `ref-context ref-context-${dir}`;
+    if (dir === "before") textEl.before(btn, ctx);
+    else textEl.after(ctx, btn);
+    for (let i = 0; i < entry.context[dir]; i++) expandContext(card, p.source, dir);
+  }
+}
+
+function expandContext(card, source, dir) {
+  const lo = Number(card.dataset.ctxLo), hi = Number(card.dataset.ctxHi);
+  const next = neighbourPassage(source, lo, hi, dir);
+  if (!next) return;
+  let text = passagesData[next.id] || "";
+  const exact = text.length === next.end - next.start;
+  const gap = dir === "before" ? next.end < lo : next.start > hi;
+  if (exact && !gap) text = dir === "before" ? text.slice(0, lo - next.start) : text.slice(hi - next.start);
+
+  const block = document.createElement("p");
+  block.className = "ref-context-block";
+  block.textContent = text;
+  const gapEl = gap ? Object.assign(document.createElement("p"), { className: "ref-context-gap", textContent: "[…]" }) : null;
+  const ctx = card.querySelector(`.ref-context-${dir}`);
+  if (dir === "before") ctx.prepend(...[block, gapEl].filter(Boolean));
+  else ctx.append(...[gapEl, block].filter(Boolean));
+
+  // Only the side expanded moves: a passage enclosing the shown text has only
+  // been shown up to it.
+  if (dir === "before") card.dataset.ctxLo = next.start;
+  else card.dataset.ctxHi = next.end;
+  if (!neighbourPassage(source, Number(card.dataset.ctxLo), Number(card.dataset.ctxHi), dir))
+    card.querySelector(`.ref-more-${dir}`).hidden = true;
+}
+
+// ── Chapter loading ───────────────────────────────────────────────────────────
+async function loadChapter(bookSlug, chapter) {
+  activeBook    = bookSlug;
+  activeChapter = chapter;
+  activeVerse   = "all"; // special value: not null (verse table) but not a specific verse
+  setMode('scripture');
+  renderSidebar(searchEl.value);
+  clearRefFilter(chapterRefFilter);
+  updateRoute();
+
+  verseBannerEl.hidden = true;
+  setRefListMessage(refsListEl, `<p class="loading">Loading…</p>`);
+  applyCombinedFilter(); // empties the filter panel until the cards are in
+
+  const bookInfo = index.books.find(b => b.slug === bookSlug);
+  chapterTitle.textContent = (bookInfo
+    ? `${bookInfo.name} ${chapter}`
+    : `${bookSlug} ${chapter}`) + altChapterLabel(bookSlug, chapter);
+
+  let bookData;
+  try {
+    bookData = await fetchBook(bookSlug);
+  } catch (err) {
+    setRefListMessage(refsListEl, `<p class="no-refs">Could not load chapter data. Have you run the builder?</p>`);
+    return;
+  }
+
+  const chData = bookData.chapters.find(c => c.ch === chapter);
+  await loadPassages();
+  renderChapter(bookData, chData);
+}
+
+function renderChapter(bookData, chData) {
+  if (!chData || !chData.refs.length) {
+    setRefListMessage(refsListEl, `<p class="no-refs">No references found for this chapter.</p>`);
+    applyCombinedFilter();
+    return;
+  }
+
+  const entries = [];
+  for (const ref of cardRefs(chData.refs)) {
     const work = worksById.get(ref.w);
-    if (!work) continue;
+    if (work) entries.push(refEntry(work, ref, bookData.book, activeChapter));
+  }
+  setRefList(refsListEl, entries);
 
-    const card = document.createElement("article");
-    card.className = "ref-card";
-    card.dataset.author = work.author;
-    card.dataset.category = work.category || "Other";
+  arrangeChapterRefs();
+  applyCombinedFilter();
+}
+
+// Hide/show chapter-view ref cards based on the filter panel and the category/year filters.
+function applyCombinedFilter() {
+  const cats = checkedCategories();
+  filterRefList(refFiltersEl, refsListEl, chapterRefFilter, entry => workInFilters(entry.work, cats));
+}
+
+function setVerseCountMode(mode) {
+  verseCountMode = mode;
+  verseCountModeEl.value = mode;
+}
+
+verseCountModeEl.addEventListener("change", () => {
+  setVerseCountMode(verseCountModeEl.value);
+  const bookData = displayBook(activeBook);
+  const chData = bookData?.chapters.find(c => c.ch === activeChapter);
+  if (chData && activeVerse === null) {
+    const textChapter = chapterText(activeBook, activeChapter);
+    renderVerseView(bookData, chData, textChapter);
+  }
+  updateRoute({ replace: true });
+});
+
+document.getElementById("back-to-verses").addEventListener("click", () => {
+  if (activeBook !== null && activeChapter !== null) {
+    showVerseView(activeBook, activeChapter);
+  }
+});
+
+// ── Category filters ──────────────────────────────────────────────────────────
+function renderCategoryFilters() {
+  const categories = [...new Set(index.works.map(w => w.category || "Other"))].sort();
+  categoryFiltersEl.innerHTML = "";
+  for (const cat of categories) {
+    const label = document.createElement("label");
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.value = cat;
+    cb.checked = true;
+    cb.addEventListener("change", applyFilters);
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(" " + cat));
+    categoryFiltersEl.appendChild(label);
+  }
+}
+
+function checkedCategories() {
+  const checked = new Set();
+  for (const cb of categoryFiltersEl.querySelectorAll("input[type=checkbox]")) {
+    if (cb.checked) checked.add(cb.value);
+  }
+  return checked;
+}
+
+// Re-render all views whenever the category filter changes.
+function applyFilters() {
+  renderSidebar(searchEl.value);
+  if (activeChapter !== null) {
+    if (activeVerse === null) {
+      // Re-render verse table with updated category counts
+      const bookData = displayBook(activeBook);
+      if (bookData) {
+        const chData = bookData.chapters.find(c => c.ch === activeChapter);
+        const textChapter = chapterText(activeBook, activeChapter);
+        renderVerseView(bookData, chData, textChapter);
+      }
+    } else {
+      applyCombinedFilter();
+    }
+  }
+  renderWorksList(worksSearchEl.value);
+  renderAuthorsList(authorsSearchEl.value);
+  if (activeMode === "authors" && activeAuthor !== null) refreshAuthorView();
+  if (activeMode === "viz") renderVizTab();
+  updateRoute({ replace: true });
+}
+
+// ── Year filter ───────────────────────────────────────────────────────────────
+//
+// A date range that narrows every view alongside the category checkboxes.
+// index.json only splits chapter counts by category, so while a range is set
+// the sidebar and charts read counts rebuilt per work (from aggregates.json
+// when present, else each manuscript) for the works in range — see
+// indexChapters(). Works without a year are kept or dropped by the "Undated"
+// box; with the full range and the box ticked the filter is off.
+
+let yearRange = null;     // { from, to, undated } while the filter is on, else null
+let yearBounds = [0, 0];  // earliest / latest year among dated works
+let yearIndex = null;     // book slug → [{ ch, count, by_cat }] for works in range
+let _yearIndexRun = 0;    // bumped per rebuild so a stale one can bail out
+
+function renderYearFilter() {
+  const years = index.works.map(w => w.year).filter(y => y != null);
+  if (!years.length) return;
+  yearBounds = [Math.min(...years), Math.max(...years)];
+  for (const el of [yearFromEl, yearToEl]) {
+    el.min = yearBounds[0];
+    el.max = yearBounds[1];
+  }
+  yearFromEl.value = yearBounds[0];
+  yearToEl.value = yearBounds[1];
+  showYearRangeLabel();
+  yearFilterEl.hidden = false;
+}
+
+function showYearRangeLabel() {
+  yearRangeLabelEl.textContent = `${yearFromEl.value}–${yearToEl.value}`;
+}
+
+function inYearRange(work) {
+  if (!yearRange) return true;
+  if (work.year == null) return yearRange.undated;
+  return work.year >= yearRange.from && work.year <= yearRange.to;
+}
+
+// Whether a work passes both the category and the year filters.
+function workInFilters(work, cats) {
+  return cats.has(work.category || "Other") && inYearRange(work);
+}
+
+// A book's chapter summaries ({ ch, count, by_cat }), limited to the year range.
+function indexChapters(book) {
+  return yearIndex ? (yearIndex.get(book.slug) || []) : book.chapters;
+}
+
+// Apply a range. The lists narrow at once; the counts are rebuilt in the
+// background (buildYearIndex). Returns false if nothing changed.
+function setYearRange(from, to, undated) {
+  from = Math.max(yearBounds[0], Math.min(from, to));
+  to = Math.min(yearBounds[1], Math.max(from, to));
+  yearFromEl.value = from;
+  yearToEl.value = to;
+  yearUndatedEl.checked = undated;
+  showYearRangeLabel();
+
+  const next = from <= yearBounds[0] && to >= yearBounds[1] && undated ? null : { from, to, undated };
+  if (JSON.stringify(next) === JSON.stringify(yearRange)) return false;
+  yearRange = next;
+  buildYearIndex();
+  return true;
+}
+
+const YEAR_INDEX_REFRESH_MS = 1000; // sidebar refresh interval while counts come in
+
+// Rebuild yearIndex for the current range from per-work counts (aggregates.json,
+// else each manuscript at bulk priority). The sidebar fills in as works are
+// counted; every view is re-rendered once all of them are in.
+function buildYearIndex() {
+  const run = ++_yearIndexRun;
+  if (!yearRange) {
+    yearIndex = null;
+    versifiedIndexCache.clear();
+    yearFilterStatusEl.textContent = "";
+    return;
+  }
+
+  const works = index.works.filter(inYearRange);
+  const bySlug = new Map(); // same shape as index.books[].chapters, so filteredCount() works unchanged
+  let left = works.length, timer = null;
+
+  const publish = () => {
+    timer = null;
+    yearIndex = new Map([...bySlug].map(([slug, chapters]) =>
+      [slug, [...chapters.values()].sort((a, b) => a.ch - b.ch)]));
+    versifiedIndexCache.clear();
+  };
+  const finish = () => {
+    clearTimeout(timer);
+    publish();
+    yearFilterStatusEl.textContent = "";
+    applyFilters();
+  };
+
+  if (!works.length) { finish(); return; }
+  manuscriptsToCount(works).then(uncached => {
+    if (run === _yearIndexRun && left && uncached) {
+      yearFilterStatusEl.textContent = `Counting citations in ${uncached} work${uncached !== 1 ? "s" : ""}…`;
+    }
+  });
+  for (const w of works) {
+    fetchWorkCounts(w.id, { priority: PRIORITY_BULK }).then(counts => {
+      if (run !== _yearIndexRun) return;
+      const cat = w.category || "Other";
+      for (const [key, n] of counts.chapters) {
+        const [slug, ch] = key.split(" ");
+        if (!bySlug.has(slug)) bySlug.set(slug, new Map());
+        const chapters = bySlug.get(slug);
+        if (!chapters.has(+ch)) chapters.set(+ch, { ch: +ch, count: 0, by_cat: {} });
+        const entry = chapters.get(+ch);
+        entry.count += n;
+        entry.by_cat[cat] = (entry.by_cat[cat] || 0) + n;
+      }
+      if (!--left) finish();
+      else if (!timer) timer = setTimeout(() => {
+        if (run !== _yearIndexRun) return;
+        publish();
+        renderSidebar(searchEl.value);
+      }, YEAR_INDEX_REFRESH_MS);
+    });
+  }
+}
+
+function onYearFilterChange() {
+  if (setYearRange(+yearFromEl.value, +yearToEl.value, yearUndatedEl.checked)) applyFilters();
+}
 
-    const verseTag = ref.v
-      ? `<span class="ref-verse-tag">v. ${ref.v}</span>`
-      : `<span class="ref-verse-tag">whole chapter</span>`;
+for (const el of [yearFromEl, yearToEl]) {
+  el.addEventListener("input", () => {
+    // Dragging one handle past the other pushes it along
+    if (+yearFromEl.value > +yearToEl.value) (el === yearFromEl ? yearToEl : yearFromEl).value = el.value;
+    showYearRangeLabel();
+  });
+  el.addEventListener("change", onYearFilterChange);
+}
+yearUndatedEl.addEventListener("change", onYearFilterChange);
+
+// ── Works sidebar ─────────────────────────────────────────────────────────────
+function renderWorksList(filter = "") {
+  const term = filter.toLowerCase();
+  const cats = checkedCategories();
+  worksListEl.innerHTML = "";
+
+  for (const work of index.works) {
+    if (term && !`${work.author} ${work.title}`.toLowerCase().includes(term)) continue;
+    if (cats.size && !cats.has(work.category || "Other")) continue;
+    if (!inYearRange(work)) continue;
+
+    const btn = document.createElement("button");
+    btn.className = "work-btn" + (work.id === activeWorkId ? " active" : "");
 
     const yearStr = work.year ? ` (${work.year})` : "";
-    const ccelLink = work.ccel_url
-      ? ` <a href="${esc(work.ccel_url)}" target="_blank" rel="noopener" class="ccel-link">View on CCEL ↗</a>`
+    const badge = work.ref_count != null
+      ? `<span class="work-ref-badge">${work.ref_count.toLocaleString()}</span>`
       : "";
 
-    card.innerHTML = `
-      <div class="ref-meta">
-        <div>
-          <span class="ref-author">${esc(work.author)}</span>
-          <span class="ref-work"> — ${esc(work.title)}${esc(yearStr)}</span>${ccelLink}
-        </div>
-        ${verseTag}
-      </div>
-      <div class="ref-text">${highlightPassage(passagesData[ref.p], activeChapter, ref.v)}</div>
+    btn.innerHTML = `
+      <span class="work-btn-text">
+        <span class="work-author">${esc(work.author)}</span>
+        <span class="work-title-sm"> — ${esc(work.title)}${esc(yearStr)}</span>
+      </span>
+      ${badge}
     `;
-    refsListEl.appendChild(card);
+    btn.addEventListener("click", () => loadWork(work.id));
+    worksListEl.appendChild(btn);
+  }
+}
+
+worksSearchEl.addEventListener("input", () => renderWorksList(worksSearchEl.value));
+
+// ── Work loading ──────────────────────────────────────────────────────────────
+async function loadWork(workId) {
+  activeWorkId = workId;
+  activeWorkData = null;
+  setMode('works');
+  renderWorksList(worksSearchEl.value);
+  clearRefFilter(workRefFilter); // drop the previous work's books
+  updateRoute();
+
+  setRefListMessage(workRefsListEl, `<p class="loading">Loading…</p>`);
+  applyWorkFilter();
+
+  let data;
+  try {
+    data = await fetchJSON(`${DATA_ROOT}/manuscripts/${workId}.json.zst`);
+    data = { ...data, refs: mergeWorkDuplicates(data.refs) };
+  } catch (err) {
+    setRefListMessage(workRefsListEl, `<p class="no-refs">Could not load work data. Have you run the builder?</p>`);
+    return;
+  }
+
+  try {
+    await loadPassages();
+  } catch {
+    const message = `<p class="no-refs">Could not load the passage text.</p>`;
+    setRefListMessage(workRefsListEl, message);
+    if (workLayout === "reading") workReaderEl.innerHTML = message;
+    return;
+  }
+  renderWork(data);
+}
+
+function renderWork(data) {
+  activeWorkData = data;
+  renderWorkReader();
+  workTitleEl.textContent = data.title;
+  const yearPart = data.year ? ` (${data.year})` : "";
+  const linkPart = data.ccel_url
+    ? ` <a href="${esc(data.ccel_url)}" target="_blank" rel="noopener" class="ccel-link">View on CCEL ↗</a>`
+    : "";
+  workMetaEl.innerHTML = `${esc(data.author)}${esc(yearPart)}${linkPart}`;
+
+  if (!data.refs.length) {
+    setRefListMessage(workRefsListEl, `<p class="no-refs">No references found for this work.</p>`);
+    applyWorkFilter();
+    return;
+  }
+
+  const work = { category: worksById.get(data.id)?.category, ...data };
+  const scheme = sourceScheme(data.id);
+  const entries = [];
+  for (const ref of cardRefs(data.refs)) {
+    // Show the location in the active versification, with the printed one alongside
+    const m = mapVerseRef(ref.book_slug, ref.chapter, ref.v, scheme, versification);
+    const shown = m.ch === ref.chapter && m.v === ref.v && !m.unmapped ? ref
+      : { ...ref, chapter: m.ch, v: m.v, orig: { ch: ref.chapter, v: ref.v, scheme, unmapped: m.unmapped } };
+    entries.push(refEntry(work, shown, ref.book, shown.chapter, { inWork: true }));
+  }
+  setRefList(workRefsListEl, entries);
+
+  arrangeWorkRefs();
+  applyWorkFilter();
+}
+
+function applyWorkFilter() {
+  filterRefList(workRefFiltersEl, workRefsListEl, workRefFilter);
+}
+
+// ── Work reader ───────────────────────────────────────────────────────────────
+//
+// "Read the work" lays the work's passages end to end in source order (by the
+// offsets in their ids, see "Passage context") in place of the cards. Each
+// citation the text spells out as chapter:verse becomes a link to its
+// filtered citations view (the verse popover previews it); the others follow
+// their passage as a bracketed link. Gaps between passages are marked.
+
+let workLayout = "cards";  // "cards" | "reading"
+let activeWorkData = null; // the open work's manuscript payload, refs merged
+
+function setWorkLayout(layout) {
+  workLayout = layout === "reading" ? "reading" : "cards";
+  workLayoutEl.value = workLayout;
+  workViewEl.classList.toggle("reading", workLayout === "reading");
+}
+
+// The work's passages merged into runs of continuous text, each with its
+// links: [{ text, exact, links: [{ ref, at, len }] }], `at` an index into
+// text and len 0 for a citation not found in it. Overlapping passages merge
+// only when their lengths match their offsets (otherwise they can't be
+// lined up and each is a run of its own).
+function workReaderRuns(refs) {
+  const byPassage = new Map();
+  for (const ref of refs) {
+    if (!byPassage.has(ref.p)) byPassage.set(ref.p, []);
+    byPassage.get(ref.p).push(ref);
+  }
+  const passages = [...byPassage.keys()]
+    .map(id => ({ id, ...(parsePassageId(id) ?? { start: Infinity, end: Infinity }), text: passagesData?.[id] || "" }))
+    .filter(p => p.text)
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const runs = [];
+  for (const p of passages) {
+    const exact = p.text.length === p.end - p.start;
+    const last = runs.at(-1);
+    let run;
+    if (exact && last?.exact && p.start <= last.end) {
+      run = last;
+      if (p.end > run.end) {
+        run.text += p.text.slice(run.end - p.start);
+        run.end = p.end;
+      }
+    } else {
+      run = { start: p.start, end: p.end, text: p.text, exact, links: [] };
+      runs.push(run);
+    }
+    const offset = exact ? p.start - run.start : 0;
+    for (const ref of byPassage.get(p.id)) {
+      const m = findVerseCitation(p.text, ref.chapter, ref.v);
+      if (!m) {
+        run.links.push({ ref, at: offset + p.text.length, len: 0 });
+        continue;
+      }
+      // Take in the book name before "8:28" when there is one ("Rom.", "1 Cor.")
+      let at = offset + m.index, len = m[0].length;
+      const book = /(?:\b(?:[1-3]|I{1,3})\s*)?\b[A-Z][a-z]{1,12}\.?\s*$/.exec(run.text.slice(Math.max(0, at - 24), at));
+      if (book) {
+        at -= book[0].length;
+        len += book[0].length;
+      }
+      run.links.push({ ref, at, len });
+    }
+  }
+  for (const run of runs) run.links.sort((a, b) => a.at - b.at || b.len - a.len);
+  return runs;
+}
+
+function readerLinkHtml(ref, body, scheme) {
+  // Shown (and linked) in the active versification, like the cards
+  const m = mapVerseRef(ref.book_slug, ref.chapter, ref.v, scheme, versification);
+  const label = m.v ? `${ref.book} ${m.ch}:${m.v}` : `${ref.book} ${m.ch}`;
+  const href = `#/scripture/${encodeURIComponent(ref.book_slug)}/${m.ch}/${encodeURIComponent(m.v ?? "whole")}`;
+  return `<a class="scripture-link verse-ref${body ? "" : " scripture-link-extra"}" href="${href}" data-slug="${esc(ref.book_slug)}" data-ch="${m.ch}" data-v="${esc(m.v ?? "whole")}">${body ? esc(body) : `[${esc(label)}]`}</a>`;
+}
+
+function workReaderHtml(data) {
+  const scheme = sourceScheme(data.id);
+  return workReaderRuns(data.refs).map(run => {
+    let html = "", last = 0;
+    for (const { ref, at, len } of run.links) {
+      if (at < last) continue; // inside a citation already linked
+      html += esc(run.text.slice(last, at)) + readerLinkHtml(ref, run.text.slice(at, at + len), scheme);
+      last = at + len;
+    }
+    return `<div class="reader-run">${html}${esc(run.text.slice(last))}</div>`;
+  }).join(`<p class="ref-context-gap">[…]</p>`);
+}
+
+async function renderWorkReader() {
+  const data = activeWorkData;
+  if (!data || workLayout !== "reading") return;
+  workReaderEl.innerHTML = `<p class="loading">Loading…</p>`;
+  try {
+    await loadPassages();
+  } catch {
+    if (data === activeWorkData) workReaderEl.innerHTML = `<p class="no-refs">Could not load the passage text.</p>`;
+    return;
+  }
+  if (data !== activeWorkData) return;
+  workReaderEl.innerHTML = data.refs.length
+    ? workReaderHtml(data)
+    : `<p class="no-refs">No references found for this work.</p>`;
+}
+
+workLayoutEl.addEventListener("change", () => {
+  setWorkLayout(workLayoutEl.value);
+  renderWorkReader();
+  updateRoute({ replace: true });
+});
+
+workReaderEl.addEventListener("click", e => {
+  const link = e.target.closest(".scripture-link");
+  if (!link) return;
+  e.preventDefault(); // the href is for new tabs; here keep the current filters
+  openCitations(link.dataset.slug, Number(link.dataset.ch), link.dataset.v);
+});
+
+// ── Citation filters ──────────────────────────────────────────────────────────
+//
+// One filter model drives the ref lists in both the chapter view and the work
+// view. Facets are read off the list entries (entry.data) and every value can be
+// included or excluded (clicking cycles off → include → exclude): included
+// values are ORed within a facet, facets are ANDed, and an excluded value
+// always hides. The keyword box matches the passage text, "-word" excludes.
+// The header's category and year filters apply underneath all of this; the
+// Years facet is the header's year range, shown again where it is used.
+
+const REF_FACETS = {
+  author:   { label: "Author",   value: entry => entry.data.author },
+  work:     { label: "Work",     value: entry => entry.data.work, name: id => worksById.get(Number(id))?.title ?? id },
+  category: { label: "Category", value: entry => entry.data.category },
+  book:     { label: "Book",     value: entry => entry.data.book },
+  scope:    { label: "Cites",    value: entry => entry.data.verse ? "verse" : "whole",
+              name: v => v === "verse" ? "Verses" : "Whole chapter" },
+};
+
+// facets: REF_FACETS keys offered; years: whether to show the header's year
+// range in the panel too (it is the same filter, see setYearRange())
+function newRefFilter(facets, { years = false } = {}) {
+  return { facets, years, include: {}, exclude: {}, text: "" };
+}
+
+const chapterRefFilter = newRefFilter(["author", "work", "category", "scope"], { years: true });
+const workRefFilter    = newRefFilter(["book", "scope"]);
+
+function clearRefFilter(filter) {
+  filter.include = {};
+  filter.exclude = {};
+  filter.text = "";
+}
+
+function refFilterActive(filter) {
+  return Object.values(filter.include).some(set => set.size)
+    || Object.values(filter.exclude).some(set => set.size)
+    || !!filter.text;
+}
+
+function refFilterToParams(filter, params) {
+  for (const key of filter.facets) {
+    for (const v of filter.include[key] || []) params.append(key, v);
+    for (const v of filter.exclude[key] || []) params.append(`not-${key}`, v);
+  }
+  if (filter.text) params.set("text", filter.text);
+}
+
+function refFilterFromParams(filter, params) {
+  clearRefFilter(filter);
+  for (const key of filter.facets) {
+    const inc = params.getAll(key), exc = params.getAll(`not-${key}`);
+    if (inc.length) filter.include[key] = new Set(inc);
+    if (exc.length) filter.exclude[key] = new Set(exc);
+  }
+  filter.text = params.get("text") || "";
+}
+
+function parseFilterText(text) {
+  const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+  return {
+    want:  terms.filter(t => !t.startsWith("-")),
+    avoid: terms.filter(t => t.startsWith("-") && t.length > 1).map(t => t.slice(1)),
+  };
+}
+
+const refEntryTextCache = new WeakMap(); // entry → lowercased passage text
+
+function refEntryText(entry) {
+  if (!refEntryTextCache.has(entry))
+    refEntryTextCache.set(entry, (passagesData?.[entry.data.passage] || "").toLowerCase());
+  return refEntryTextCache.get(entry);
+}
+
+// Whether an entry passes the filter. `skip` leaves one facet out, which is
+// how each facet's counts are taken.
+function refFilterMatches(filter, entry, text, skip = null) {
+  for (const key of filter.facets) {
+    if (key === skip) continue;
+    const v = REF_FACETS[key].value(entry);
+    if (filter.include[key]?.size && !filter.include[key].has(v)) return false;
+    if (filter.exclude[key]?.has(v)) return false;
+  }
+  if (text.want.length || text.avoid.length) {
+    const body = refEntryText(entry);
+    if (!text.want.every(t => body.includes(t)) || text.avoid.some(t => body.includes(t))) return false;
+  }
+  return true;
+}
+
+// Mark a list's entries shown or hidden, redraw it and its filter panel.
+// `base` is the filtering outside the panel; entries it rejects are hidden
+// and not counted.
+function filterRefList(panelEl, listEl, filter, base = () => true) {
+  const entries = refLists.get(listEl)?.entries ?? [];
+
+  // Drop values no entry has (e.g. a stale author from the URL)
+  for (const key of filter.facets) {
+    const present = new Set(entries.map(REF_FACETS[key].value));
+    for (const set of [filter.include[key], filter.exclude[key]])
+      for (const v of set || []) if (!present.has(v)) set.delete(v);
   }
 
+  const text = parseFilterText(filter.text);
+  const pool = [];
+  for (const entry of entries) {
+    const inBase = base(entry);
+    if (inBase) pool.push(entry);
+    entry.hidden = !inBase || !refFilterMatches(filter, entry, text);
+  }
+  renderRefList(listEl);
+  renderRefFilterPanel(panelEl, filter, pool, text);
+}
+
+function renderRefFilterPanel(panelEl, filter, pool, text) {
+  const facetsEl = panelEl.querySelector(".filter-facets");
+  const open = new Set([...facetsEl.querySelectorAll("details[open]")].map(d => d.dataset.facet));
+  panelEl.querySelector(".filter-text").value = filter.text;
+
+  let html = "";
+  for (const key of filter.facets) {
+    const def = REF_FACETS[key];
+    const name = def.name || (v => v);
+    const inc = filter.include[key] || new Set(), exc = filter.exclude[key] || new Set();
+
+    // Live count per value: cards that would show if only this facet changed
+    const counts = new Map([...inc, ...exc].map(v => [v, 0]));
+    for (const entry of pool) {
+      const v = def.value(entry);
+      counts.set(v, (counts.get(v) || 0) + (refFilterMatches(filter, entry, text, key) ? 1 : 0));
+    }
+    if (counts.size < 2 && !inc.size && !exc.size) continue; // nothing to choose between
+
+    const active = inc.size + exc.size;
+    const opts = [...counts].sort((a, b) => b[1] - a[1] || String(name(a[0])).localeCompare(String(name(b[0]))));
+    html += `<details class="facet" data-facet="${key}"${open.has(key) ? " open" : ""}>
+      <summary>${def.label}${active ? ` <span class="facet-active">${active}</span>` : ""}</summary>
+      <div class="facet-options">${opts.map(([v, n]) => {
+        const state = inc.has(v) ? "include" : exc.has(v) ? "exclude" : "";
+        return `<button type="button" class="facet-opt" data-value="${esc(v)}" data-state="${state}"
+          title="Click to include, again to exclude, again to clear"><span class="facet-name">${esc(name(v))}</span><span class="facet-count">${n.toLocaleString()}</span></button>`;
+      }).join("")}</div>
+    </details>`;
+  }
+
+  if (filter.years && yearBounds[0] < yearBounds[1]) {
+    // The header's range, editable here; the pool is already narrowed by it
+    const label = yearRange ? ` <span class="facet-active">${yearRange.from}–${yearRange.to}</span>` : "";
+    html += `<details class="facet" data-facet="years"${open.has("years") ? " open" : ""}>
+      <summary>Years${label}</summary>
+      <div class="facet-options facet-years">
+        <input type="number" class="filter-since" aria-label="From year" min="${yearBounds[0]}" max="${yearBounds[1]}" value="${yearFromEl.value}">
+        –
+        <input type="number" class="filter-until" aria-label="To year" min="${yearBounds[0]}" max="${yearBounds[1]}" value="${yearToEl.value}">
+        <label class="facet-undated"><input type="checkbox" class="filter-undated"${yearUndatedEl.checked ? " checked" : ""}> Undated works</label>
+        <p class="facet-note">Same as the year filter at the top; it applies to every view.</p>
+      </div>
+    </details>`;
+  }
+  facetsEl.innerHTML = html;
+  panelEl.querySelector(".filter-clear").hidden = !refFilterActive(filter);
+}
+
+// Wire up a panel once; `refresh` re-applies the filter to its list.
+function initRefFilterPanel(panelEl, filter, refresh) {
+  panelEl.innerHTML = `
+    <input type="search" class="filter-text" placeholder="Passage contains… (-word excludes)" aria-label="Filter by passage text">
+    <div class="filter-facets"></div>
+    <button type="button" class="filter-clear back-link" hidden>Clear filters</button>`;
+  const changed = () => { refresh(); updateRoute({ replace: true }); };
+
+  panelEl.querySelector(".filter-text").addEventListener("input", e => {
+    filter.text = e.target.value.trim();
+    changed();
+  });
+  panelEl.querySelector(".filter-clear").addEventListener("click", () => {
+    clearRefFilter(filter);
+    changed();
+  });
+  const facetsEl = panelEl.querySelector(".filter-facets");
+  facetsEl.addEventListener("click", e => {
+    const opt = e.target.closest(".facet-opt");
+    if (!opt) return;
+    const key = opt.closest(".facet").dataset.facet, v = opt.dataset.value;
+    const inc = filter.include[key] ??= new Set(), exc = filter.exclude[key] ??= new Set();
+    if (inc.has(v))      { inc.delete(v); exc.add(v); }
+    else if (exc.has(v)) exc.delete(v);
+    else                 inc.add(v);
+    changed();
+  });
+  facetsEl.addEventListener("change", e => {
+    if (!e.target.matches(".filter-since, .filter-until, .filter-undated")) return;
+    const since = parseInt(facetsEl.querySelector(".filter-since").value, 10);
+    const until = parseInt(facetsEl.querySelector(".filter-until").value, 10);
+    const undated = facetsEl.querySelector(".filter-undated").checked;
+    if (setYearRange(Number.isFinite(since) ? since : yearBounds[0],
+                     Number.isFinite(until) ? until : yearBounds[1], undated)) applyFilters();
+    else refresh(); // put back a value setYearRange clamped
+  });
+}
+
+initRefFilterPanel(refFiltersEl, chapterRefFilter, () => applyCombinedFilter());
+initRefFilterPanel(workRefFiltersEl, workRefFilter, () => applyWorkFilter());
+
+// ── Card order and grouping ───────────────────────────────────────────────────
+//
+// Reorders a ref list's entries into sections. Grouping gathers the entries
+// sharing a key into one section, drawn as a collapsible <details>; the
+// filter panel and export still see every entry.
+
+let refSort = "verse";          // chapter view: "verse" | "year" | "author" | "category"
+let refGroupByWork = false;     // chapter view: collapse a work's refs into one card
+let workRefOrder = "document";  // work view: "document" | "canonical" | "book" | "chapter"
+
+let bookOrderByName = null;         // book name → canonical order, built on first use
+
+function refEntryVerse(entry) {
+  const v = parseInt(entry.data.verse, 10);
+  return Number.isFinite(v) ? v : 0; // whole-chapter citations first
+}
+
+function refEntryYear(entry) {
+  return worksById.get(Number(entry.data.work))?.year ?? Infinity;
+}
+
+function refEntryBookOrder(entry) {
+  bookOrderByName ??= new Map(index.books.map(b => [b.name, b.order]));
+  return bookOrderByName.get(entry.data.book) ?? Infinity;
+}
+
+const REF_SORTS = {
+  document:  () => 0,
+  verse:     (a, b) => refEntryVerse(a) - refEntryVerse(b),
+  year:      (a, b) => (refEntryYear(a) - refEntryYear(b)) || 0, // undated last
+  author:    (a, b) => a.data.author.localeCompare(b.data.author),
+  category:  (a, b) => a.data.category.localeCompare(b.data.category),
+  canonical: (a, b) => (refEntryBookOrder(a) - refEntryBookOrder(b) || 0)
+    || a.data.chapter - b.data.chapter || refEntryVerse(a) - refEntryVerse(b),
+};
+
+// min: smallest run that gets wrapped; smaller ones stay as plain cards
+const REF_GROUPS = {
+  work: {
+    min: 2,
+    key: entry => entry.data.work,
+    label: entry => {
+      const work = worksById.get(Number(entry.data.work));
+      const yearStr = work?.year ? ` (${work.year})` : "";
+      return `<span class="ref-author">${esc(entry.data.author)}</span>
+        <span class="ref-work"> — ${esc(work?.title ?? "")}${esc(yearStr)}</span>`;
+    },
+  },
+  book:    { min: 1, key: entry => entry.data.book, label: entry => esc(entry.data.book) },
+  chapter: { min: 1, key: entry => `${entry.data.book} ${entry.data.chapter}`,
+             label: entry => esc(`${entry.data.book} ${entry.data.chapter}`) },
+};
+
+// Sets the list's sections; the next filterRefList() draws them.
+function arrangeRefList(listEl, sort, group = null) {
+  const list = refLists.get(listEl);
+  if (!list) return;
+  const entries = [...list.entries].sort((a, b) => REF_SORTS[sort](a, b) || a.order - b.order);
+  if (!group) {
+    list.sections = [{ group: null, entries }];
+    return;
+  }
+  // Groups come out in the order of their first entry
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = group.key(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  list.sections = [];
+  for (const [key, members] of groups) {
+    const last = list.sections[list.sections.length - 1];
+    if (members.length >= group.min) list.sections.push({ group, key, entries: members });
+    else if (last && !last.group) last.entries.push(...members);
+    else list.sections.push({ group: null, entries: members });
+  }
+}
+
+function arrangeChapterRefs() {
+  arrangeRefList(refsListEl, refSort, refGroupByWork ? REF_GROUPS.work : null);
+}
+
+function arrangeWorkRefs() {
+  arrangeRefList(workRefsListEl, workRefOrder === "document" ? "document" : "canonical", REF_GROUPS[workRefOrder] || null);
+}
+
+function setRefArrangement(sort, groupByWork) {
+  refSort = REF_SORTS[sort] && sort !== "document" && sort !== "canonical" ? sort : "verse";
+  refGroupByWork = groupByWork;
+  refSortEl.value = refSort;
+  refGroupEl.checked = refGroupByWork;
+}
+
+function setWorkRefOrder(order) {
+  workRefOrder = ["canonical", "book", "chapter"].includes(order) ? order : "document";
+  workRefOrderEl.value = workRefOrder;
+}
+
+refSortEl.addEventListener("change", () => {
+  setRefArrangement(refSortEl.value, refGroupByWork);
+  arrangeChapterRefs();
+  applyCombinedFilter();
+  updateRoute({ replace: true });
+});
+refGroupEl.addEventListener("change", () => {
+  setRefArrangement(refSort, refGroupEl.checked);
+  arrangeChapterRefs();
   applyCombinedFilter();
+  updateRoute({ replace: true });
+});
+for (const el of showDupesEls) el.addEventListener("change", onShowDuplicatesChange);
+workRefOrderEl.addEventListener("change", () => {
+  setWorkRefOrder(workRefOrderEl.value);
+  arrangeWorkRefs();
+  applyWorkFilter();
+  updateRoute({ replace: true });
+});
+
+// ── Export ───────────────────────────────────────────────────────────────────
+//
+// Exports whatever entries a ref list currently shows: one row per
+// citation for CSV/JSON, one entry per distinct work for BibTeX/RIS.
+
+const EXPORT_FORMATS = {
+  csv:  { ext: "csv", mime: "text/csv",                  build: rows => exportCSV(rows) },
+  json: { ext: "json", mime: "application/json",         build: rows => JSON.stringify(rows, null, 2) },
+  bib:  { ext: "bib", mime: "application/x-bibtex",      build: rows => exportBibTeX(exportWorks(rows)) },
+  ris:  { ext: "ris", mime: "application/x-research-info-systems", build: rows => exportRIS(exportWorks(rows)) },
+};
+const EXPORT_COLUMNS = ["author", "title", "year", "category", "ccel_url", "book", "chapter", "verse", "text"];
+
+function exportRows(listEl) {
+  const rows = [];
+  for (const { data } of shownRefEntries(listEl)) {
+    const work = worksById.get(Number(data.work));
+    if (!work) continue;
+    rows.push({
+      work_id:  work.id,
+      author:   work.author,
+      title:    work.title,
+      year:     work.year ?? null,
+      category: work.category || "Other",
+      ccel_url: work.ccel_url ?? null,
+      book:     data.book,
+      chapter:  Number(data.chapter),
+      verse:    data.verse || null,
+      text:     passagesData?.[data.passage] ?? "",
+    });
+  }
+  return rows;
 }
 
-// Hide/show chapter-view ref cards based on both author dropdown and category checkboxes.
-function applyCombinedFilter() {
-  const authorVal = authorFilter.value;
-  const cats = checkedCategories();
-  for (const card of refsListEl.querySelectorAll(".ref-card")) {
-    const hiddenByAuthor = authorVal && card.dataset.author !== authorVal;
-    const hiddenByCat   = !cats.has(card.dataset.category || "Other");
-    card.hidden = hiddenByAuthor || hiddenByCat;
+// Distinct works among the rows, in first-seen order.
+function exportWorks(rows) {
+  const seen = new Map();
+  for (const row of rows) if (!seen.has(row.work_id)) seen.set(row.work_id, worksById.get(row.work_id));
+  return [...seen.values()];
+}
+
+function exportCSV(rows) {
+  const cell = v => {
+    const s = v == null ? "" : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [EXPORT_COLUMNS.join(",")];
+  for (const row of rows) lines.push(EXPORT_COLUMNS.map(c => cell(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Author strings come from catalogue records and can carry life dates
+// ("1824-1897 Francis Turner Palgrave", "Miguel de, 1628-1696. Molinos"),
+// degrees and titles ("M.A., D.D. George Adam Smith") or an alias in
+// brackets. Keep just the name.
+const AUTHOR_HONORIFICS = /(?:^|\s)(?:Rev\.|Miss|Mrs\.|Mr\.|M\.A\.,?|D\.D\.,?|Ph\.D\.,?|LL\.D\.,?)(?=\s|$)/g;
+
+function authorName(author) {
+  return String(author)
+    .replace(/\s*\[[^\]]*\]/g, "")
+    .replace(/,?\s*\(?\b\d{3,4}\??\s*[-–]\s*(?:\d{2,4}\??)?\)?\.?/g, " ")
+    .replace(AUTHOR_HONORIFICS, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Name particles BibTeX should read as a "von" part; any other lowercase
+// word ("Augustine of Hippo", "Church in the U.S.A.") marks a name BibTeX
+// would mangle, so it is given as a literal.
+const NAME_PARTICLES = new Set(["de", "di", "da", "du", "la", "le", "van", "von", "der", "den"]);
+
+function isLiteralAuthor(name) {
+  const words = name.split(" ");
+  return words.length === 1 || words.some(w => /^\p{Ll}/u.test(w) && !NAME_PARTICLES.has(w));
+}
+
+// Braced when literal so BibTeX keeps it whole; bibEscape drops braces, so
+// they are added after escaping.
+function bibAuthor(author) {
+  const name = authorName(author);
+  return isLiteralAuthor(name) ? `{${bibEscape(name)}}` : bibEscape(name);
+}
+
+// BibTeX keys look like "owen1677holy": author surname (first word of a
+// literal name), year, first title word.
+function bibKey(work, used) {
+  const words = s => (s || "").normalize("NFD").replace(/[^A-Za-z0-9 ]/g, "").toLowerCase().split(/\s+/).filter(Boolean);
+  const title = words(work.title).find(w => !["a", "an", "the", "of", "on"].includes(w)) || "work";
+  const name = authorName(work.author);
+  const nameWords = words(name);
+  const surname = (isLiteralAuthor(name) ? nameWords[0] : nameWords.pop()) || "anon";
+  const base = `${surname}${work.year ?? ""}${title}`;
+  let key = base;
+  for (let i = 0; used.has(key); i++) key = base + String.fromCharCode(97 + i % 26) + (i >= 26 ? Math.floor(i / 26) : "");
+  used.add(key);
+  return key;
+}
+
+function bibEscape(str) {
+  return String(str).replace(/[\\{}]/g, "").replace(/([&%$#_])/g, "\\$1");
+}
+
+function exportBibTeX(works) {
+  const used = new Set();
+  return works.map(work => {
+    const fields = [
+      ["author", bibAuthor(work.author)],
+      ["title", `{${bibEscape(work.title)}}`], // double braces keep the capitalisation
+      ["year", work.year],
+      ["url", work.ccel_url],
+      ["keywords", work.category],
+    ].filter(([, v]) => v != null && v !== "");
+    const raw = ["author", "title", "url"]; // already escaped, or not to be
+    const body = fields.map(([k, v]) => `  ${k} = {${raw.includes(k) ? v : bibEscape(v)}}`).join(",\n");
+    return `@book{${bibKey(work, used)},\n${body}\n}\n`;
+  }).join("\n");
+}
+
+function exportRIS(works) {
+  return works.map(work => {
+    const lines = ["TY  - BOOK", `AU  - ${authorName(work.author)}`, `TI  - ${work.title}`];
+    if (work.year != null) lines.push(`PY  - ${work.year}`);
+    if (work.ccel_url)     lines.push(`UR  - ${work.ccel_url}`);
+    if (work.category)     lines.push(`KW  - ${work.category}`);
+    lines.push("ER  - ");
+    return lines.join("\r\n") + "\r\n";
+  }).join("\r\n");
+}
+
+function downloadText(filename, mime, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportFilename(title, ext) {
+  const stem = title.normalize("NFD").replace(/[^\w\s:-]/g, "").replace(/[\s:]+/g, "-").replace(/-+/g, "-").toLowerCase();
+  return `${stem || "citations"}.${ext}`;
+}
+
+function exportList(listEl, title, format) {
+  const fmt = EXPORT_FORMATS[format];
+  const rows = exportRows(listEl);
+  if (!fmt || !rows.length) return;
+  downloadText(exportFilename(title, fmt.ext), fmt.mime, fmt.build(rows));
+}
+
+for (const [selectId, listEl, titleEl] of [
+  ["export-refs", refsListEl, chapterTitle],
+  ["export-work-refs", workRefsListEl, workTitleEl],
+]) {
+  const sel = document.getElementById(selectId);
+  sel.addEventListener("change", () => {
+    exportList(listEl, titleEl.textContent, sel.value);
+    sel.value = "";
+  });
+}
+
+// ── Notes and collections ────────────────────────────────────────────────────
+//
+// Stars, notes and named collections of citations, kept in this browser
+// (IndexedDB). A citation is keyed by work, passage and where the work puts
+// it (book, chapter and verse as printed), so a star survives a change of
+// numbering. Everything is read into memory once, for the cards to show
+// synchronously. A change is made to copies, which replace the records in
+// memory only once their transaction has committed, so a failed write
+// (quota, say) changes nothing; an import or a collection's deletion is one
+// transaction. A collection (or the starred / noted lists) exports as JSON;
+// importing one merges it into the collection of the same name.
+//
+// Database "patristics-notes":
+//   annotations  { key, work, passage, book_slug, book, chapter, verse,
+//                  starred, note, collections: [collection id], updated }
+//   collections  { id, name, created }
+
+const NOTES_DB = "patristics-notes";
+const NOTES_DB_VERSION = 1;
+const COLLECTION_FORMAT = "patristics-collection"; // "format" of an export
+
+let notesDb = null;                 // null while loading, or without IndexedDB
+const annotations = new Map();      // citation key → annotation record
+const collections = new Map();      // collection id → { id, name, created }
+const cardCitations = new WeakMap(); // card → its citation (see buildRefCard)
+let activeCollection = "starred";   // "starred" | "notes" | a collection id
+
+function citationKey(c) {
+  return `${c.work} ${c.passage} ${c.book_slug} ${c.chapter}:${c.verse ?? ""}`;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run fill(tx), which queues writes (awaiting requests if it needs their
+// results), in one readwrite transaction; resolves with what fill returned
+// once the transaction has committed. Any failure rolls it all back.
+async function idbTransaction(stores, fill) {
+  const tx = notesDb.transaction(stores, "readwrite");
+  const committed = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error ?? new DOMException("The change was not saved", "AbortError"));
+  });
+  let result;
+  try {
+    result = await fill(tx);
+  } catch (err) {
+    committed.catch(() => {});
+    try { tx.abort(); } catch { /* already aborted */ }
+    throw err;
+  }
+  await committed;
+  return result;
+}
+
+async function loadAnnotations() {
+  if (!window.indexedDB) return;
+  try {
+    const open = indexedDB.open(NOTES_DB, NOTES_DB_VERSION);
+    open.onupgradeneeded = () => {
+      open.result.createObjectStore("annotations", { keyPath: "key" });
+      open.result.createObjectStore("collections", { keyPath: "id", autoIncrement: true });
+    };
+    const db = await idbRequest(open);
+    const tx = db.transaction(["annotations", "collections"]);
+    const [items, cols] = await Promise.all([
+      idbRequest(tx.objectStore("annotations").getAll()),
+      idbRequest(tx.objectStore("collections").getAll()),
+    ]);
+    for (const item of items) annotations.set(item.key, item);
+    for (const col of cols) collections.set(col.id, col);
+    notesDb = db;
+  } catch {
+    return; // e.g. storage blocked: the notes controls stay hidden
+  }
+  document.body.classList.add("notes-on");
+  notesTabEl.hidden = false;
+  for (const card of document.querySelectorAll(".ref-card[data-key]")) refreshCardAnnotation(card);
+}
+
+// Queue the save (or, once it holds nothing, the removal) of an annotation
+// from annotationFor(). Returns the record for memory once tx commits, null
+// for none; see commitAnnotation().
+function queueAnnotation(tx, item) {
+  const store = tx.objectStore("annotations");
+  if (!item.starred && !item.note && !item.collections.length) {
+    store.delete(item.key);
+    return null;
+  }
+  const saved = { ...item, updated: Date.now() };
+  store.put(saved);
+  return saved;
+}
+
+function commitAnnotation(key, saved) {
+  if (saved) annotations.set(key, saved);
+  else annotations.delete(key);
+}
+
+async function putAnnotation(item) {
+  commitAnnotation(item.key, await idbTransaction("annotations", tx => queueAnnotation(tx, item)));
+}
+
+// A copy of the citation's annotation (or a blank one) to change and save.
+function annotationFor(citation) {
+  const key = citationKey(citation);
+  const item = annotations.get(key);
+  return item ? { ...item, collections: [...item.collections] }
+              : { key, ...citation, starred: false, note: "", collections: [] };
+}
+
+function notesWriteFailed(err) {
+  notesStatusEl.textContent = `Could not save to this browser's storage: ${err?.message ?? err}`;
+}
+
+async function addCollection(name) {
+  const col = { name, created: Date.now() };
+  col.id = await idbTransaction("collections", tx => idbRequest(tx.objectStore("collections").add(col)));
+  collections.set(col.id, col);
+  return col;
+}
+
+function collectionByName(name) {
+  return [...collections.values()].find(c => c.name === name) ?? null;
+}
+
+// The cards: a star, the saved note, and an editor for the note and the
+// collections opened from the bar.
+
+function annotationBarHtml(key) {
+  const item = annotations.get(key);
+  return `
+    <p class="ref-note"${item?.note ? "" : " hidden"}>${esc(item?.note ?? "")}</p>
+    <div class="ref-annot-bar">
+      <button type="button" class="ref-star" aria-pressed="${!!item?.starred}" aria-label="Star this citation">${item?.starred ? "★" : "☆"}</button>
+      <button type="button" class="ref-annot-toggle back-link" aria-expanded="false">${annotationSummary(item)}</button>
+    </div>`;
+}
+
+function annotationSummary(item) {
+  const n = item?.collections.length ?? 0;
+  return `${item?.note ? "Edit note" : "Add note"} · ${n ? `${n} collection${n !== 1 ? "s" : ""}` : "Collect"}`;
+}
+
+function refreshCardAnnotation(card) {
+  const item = annotations.get(card.dataset.key);
+  const star = card.querySelector(".ref-star");
+  star.setAttribute("aria-pressed", String(!!item?.starred));
+  star.textContent = item?.starred ? "★" : "☆";
+  const note = card.querySelector(".ref-note");
+  note.textContent = item?.note ?? "";
+  note.hidden = !item?.note;
+  card.querySelector(".ref-annot-toggle").textContent = annotationSummary(item);
+}
+
+// Every card on screen for this citation (it can be in several lists).
+function refreshCitationCards(key) {
+  for (const card of document.querySelectorAll(".ref-card[data-key]"))
+    if (card.dataset.key === key) refreshCardAnnotation(card);
+}
+
+function toggleAnnotationEditor(card) {
+  const toggle = card.querySelector(".ref-annot-toggle");
+  const open = card.querySelector(".ref-annot-editor");
+  if (open) {
+    open.remove();
+    toggle.setAttribute("aria-expanded", "false");
+    return;
+  }
+  const item = annotationFor(cardCitations.get(card));
+  const editor = document.createElement("div");
+  editor.className = "ref-annot-editor";
+  editor.innerHTML = `
+    <textarea class="annot-note" rows="3" aria-label="Note" placeholder="Note on this citation…">${esc(item.note)}</textarea>
+    <div class="annot-collections">${[...collections.values()].map(c => `
+      <label><input type="checkbox" value="${c.id}"${item.collections.includes(c.id) ? " checked" : ""}> ${esc(c.name)}</label>`).join("")}
+    </div>
+    <form class="annot-new">
+      <input type="text" placeholder="New collection" aria-label="New collection name">
+      <button type="submit">Add</button>
+    </form>`;
+  card.querySelector(".ref-annot-bar").after(editor);
+  toggle.setAttribute("aria-expanded", "true");
+  editor.querySelector(".annot-note").focus();
+
+  // Re-read on every change: another card may have edited the same citation.
+  // True once saved.
+  const save = async update => {
+    const current = annotationFor(cardCitations.get(card));
+    update(current);
+    try {
+      await putAnnotation(current);
+    } catch (err) {
+      notesWriteFailed(err);
+      return false;
+    }
+    refreshCitationCards(current.key);
+    if (activeMode === "notes") renderCollectionSelect();
+    return true;
+  };
+  editor.querySelector(".annot-note").addEventListener("change", e =>
+    save(it => { it.note = e.target.value.trim(); }));
+  editor.querySelector(".annot-collections").addEventListener("change", e => {
+    const id = Number(e.target.value);
+    save(it => {
+      it.collections = it.collections.filter(c => c !== id);
+      if (e.target.checked) it.collections.push(id);
+    });
+  });
+  editor.querySelector(".annot-new").addEventListener("submit", async e => {
+    e.preventDefault();
+    const input = e.target.querySelector("input");
+    const name = input.value.trim();
+    if (!name) return;
+    let col = collectionByName(name);
+    try {
+      col ??= await addCollection(name);
+    } catch (err) {
+      notesWriteFailed(err);
+      return;
+    }
+    if (!await save(it => { if (!it.collections.includes(col.id)) it.collections.push(col.id); })) return;
+    editor.remove();
+    toggleAnnotationEditor(card); // reopen with the new collection listed
+  });
+}
+
+document.addEventListener("click", async e => {
+  if (!notesDb) return;
+  const card = e.target.closest(".ref-card[data-key]");
+  if (!card) return;
+  if (e.target.closest(".ref-star")) {
+    const item = annotationFor(cardCitations.get(card));
+    item.starred = !item.starred;
+    try {
+      await putAnnotation(item);
+    } catch (err) {
+      notesWriteFailed(err);
+      return;
+    }
+    refreshCitationCards(item.key);
+    if (activeMode === "notes") renderCollectionSelect();
+  } else if (e.target.closest(".ref-annot-toggle")) {
+    toggleAnnotationEditor(card);
+  }
+});
+
+// The Notes tab: one list (starred, noted or a collection) as cards.
+
+function collectionItems(which) {
+  const all = [...annotations.values()];
+  if (which === "starred") return all.filter(it => it.starred);
+  if (which === "notes") return all.filter(it => it.note);
+  return all.filter(it => it.collections.includes(which));
+}
+
+function collectionName(which) {
+  if (which === "starred") return "Starred";
+  if (which === "notes") return "Notes";
+  return collections.get(which)?.name ?? "";
+}
+
+function renderCollectionSelect() {
+  notesCollectionEl.innerHTML = "";
+  for (const which of ["starred", "notes", ...[...collections.values()].sort((a, b) => a.name.localeCompare(b.name)).map(c => c.id)])
+    notesCollectionEl.appendChild(new Option(`${collectionName(which)} (${collectionItems(which).length})`, which, false, which === activeCollection));
+  const own = typeof activeCollection === "number";
+  notesRenameEl.hidden = notesDeleteEl.hidden = !own;
+}
+
+function showCollection(which) {
+  activeCollection = which === "starred" || which === "notes" || collections.has(which) ? which : "starred";
+  notesStatusEl.textContent = "";
+  closeNotesForms();
+  const rendered = setMode("notes");
+  updateRoute();
+  return rendered;
+}
+
+// Called by setMode: the active list as cards.
+async function renderNotesView() {
+  renderCollectionSelect();
+  const items = collectionItems(activeCollection)
+    .filter(it => worksById.has(it.work))
+    .sort((a, b) => b.updated - a.updated);
+  if (!items.length) {
+    setRefListMessage(notesListEl, `<p class="no-refs">Nothing here yet. Star a citation, or use “Collect” on its card.</p>`);
+    return;
+  }
+  setRefListMessage(notesListEl, `<p class="loading">Loading…</p>`);
+  const which = activeCollection;
+  try {
+    await loadPassages();
+  } catch {
+    if (which === activeCollection) setRefListMessage(notesListEl, `<p class="no-refs">Could not load the passage text.</p>`);
+    return;
+  }
+  if (which !== activeCollection) return;
+  const entries = [];
+  for (const it of items) {
+    const work = worksById.get(it.work);
+    const scheme = sourceScheme(it.work);
+    const m = mapVerseRef(it.book_slug, it.chapter, it.verse, scheme, versification);
+    const ref = { p: it.passage, book_slug: it.book_slug, v: m.v };
+    if (m.ch !== it.chapter || m.v !== it.verse || m.unmapped) ref.orig = { ch: it.chapter, v: it.verse, scheme, unmapped: m.unmapped };
+    entries.push(refEntry(work, ref, it.book, m.ch, { withBook: true }));
+  }
+  setRefList(notesListEl, entries);
+  renderRefList(notesListEl);
+}
+
+function exportCollection(which) {
+  const items = collectionItems(which).map(({ work, passage, book_slug, book, chapter, verse, starred, note }) =>
+    ({ work, passage, book_slug, book, chapter, verse, starred, note }));
+  const name = collectionName(which);
+  const payload = { format: COLLECTION_FORMAT, version: 1, name, exported: new Date().toISOString(), items };
+  downloadText(exportFilename(name, "json"), "application/json", JSON.stringify(payload, null, 2));
+}
+
+// Merge an exported collection: its items join the collection of the same
+// name (created if need be); stars are kept and a different note is appended.
+async function importCollection(text) {
+  const data = JSON.parse(text);
+  if (data?.format !== COLLECTION_FORMAT || !Array.isArray(data.items)) throw new Error("Not a collection export");
+  const name = data.name == null ? "Imported" : String(data.name).trim();
+  if (!name) throw new Error("The collection has no name");
+  const items = new Map(); // citation key → merged copy (an export may list one twice)
+  for (const raw of data.items) {
+    if (!Number.isFinite(raw?.work) || typeof raw.passage !== "string" || typeof raw.book_slug !== "string") continue;
+    const chapter = Number(raw.chapter);
+    if (!Number.isInteger(chapter) || chapter < 1) continue;
+    const citation = {
+      work: raw.work, passage: raw.passage, book_slug: raw.book_slug, book: String(raw.book ?? raw.book_slug),
+      chapter, verse: raw.verse ?? null,
+    };
+    const item = items.get(citationKey(citation)) ?? annotationFor(citation);
+    item.starred ||= !!raw.starred;
+    const note = typeof raw.note === "string" ? raw.note.trim() : "";
+    if (note && !item.note.includes(note)) item.note = item.note ? `${item.note}\n\n${note}` : note;
+    items.set(item.key, item);
+  }
+  const { col, saved } = await idbTransaction(["annotations", "collections"], async tx => {
+    let col = collectionByName(name);
+    if (!col) {
+      col = { name, created: Date.now() };
+      col.id = await idbRequest(tx.objectStore("collections").add(col));
+    }
+    const saved = [...items.values()].map(item => {
+      if (!item.collections.includes(col.id)) item.collections.push(col.id);
+      return queueAnnotation(tx, item);
+    });
+    return { col, saved };
+  });
+  collections.set(col.id, col);
+  [...items.keys()].forEach((key, i) => commitAnnotation(key, saved[i]));
+  return { col, count: items.size };
+}
+
+async function renameCollection(id, name) {
+  const col = { ...collections.get(id), name };
+  await idbTransaction("collections", tx => { tx.objectStore("collections").put(col); });
+  collections.set(id, col);
+}
+
+// The collection goes, and with it every annotation left holding nothing.
+async function deleteCollection(id) {
+  const changed = collectionItems(id).map(item => ({ ...item, collections: item.collections.filter(c => c !== id) }));
+  const saved = await idbTransaction(["annotations", "collections"], tx => {
+    tx.objectStore("collections").delete(id);
+    return changed.map(item => queueAnnotation(tx, item));
+  });
+  changed.forEach((item, i) => commitAnnotation(item.key, saved[i]));
+  collections.delete(id);
+}
+
+notesCollectionEl.addEventListener("change", () => {
+  const v = notesCollectionEl.value;
+  showCollection(v === "starred" || v === "notes" ? v : Number(v));
+});
+notesExportEl.addEventListener("click", () => exportCollection(activeCollection));
+notesImportEl.addEventListener("change", async () => {
+  const file = notesImportEl.files[0];
+  notesImportEl.value = "";
+  if (!file) return;
+  try {
+    const { col, count } = await importCollection(await file.text());
+    await showCollection(col.id);
+    notesStatusEl.textContent = `Imported ${count} citation${count !== 1 ? "s" : ""} into “${col.name}”.`;
+  } catch (err) {
+    notesStatusEl.textContent = `Could not import ${file.name}: ${err.message}`;
+  }
+});
+
+// Rename and Delete open a small form under the controls.
+function closeNotesForms() {
+  notesRenameFormEl.hidden = notesDeleteFormEl.hidden = true;
+}
+
+notesRenameEl.addEventListener("click", () => {
+  closeNotesForms();
+  const input = notesRenameFormEl.querySelector("input");
+  input.value = collections.get(activeCollection).name;
+  notesRenameFormEl.hidden = false;
+  input.select();
+});
+notesRenameFormEl.addEventListener("submit", async e => {
+  e.preventDefault();
+  const col = collections.get(activeCollection);
+  const name = notesRenameFormEl.querySelector("input").value.trim();
+  if (name && name !== col.name) {
+    if (collectionByName(name)) {
+      notesStatusEl.textContent = `There is already a collection called “${name}”.`;
+      return;
+    }
+    try {
+      await renameCollection(col.id, name);
+    } catch (err) {
+      notesWriteFailed(err);
+      return;
+    }
+  }
+  closeNotesForms();
+  renderCollectionSelect();
+  notesRenameEl.focus();
+});
+notesDeleteEl.addEventListener("click", () => {
+  closeNotesForms();
+  notesDeleteFormEl.querySelector(".notes-delete-prompt").textContent =
+    `Delete the collection “${collections.get(activeCollection).name}”? Its citations keep their stars and notes.`;
+  notesDeleteFormEl.hidden = false;
+  notesDeleteFormEl.querySelector('button[type="submit"]').focus();
+});
+notesDeleteFormEl.addEventListener("submit", async e => {
+  e.preventDefault();
+  try {
+    await deleteCollection(activeCollection);
+  } catch (err) {
+    notesWriteFailed(err);
+    return;
+  }
+  showCollection("starred");
+});
+for (const [form, opener] of [[notesRenameFormEl, notesRenameEl], [notesDeleteFormEl, notesDeleteEl]]) {
+  const cancel = () => { closeNotesForms(); opener.focus(); };
+  form.querySelector(".notes-cancel").addEventListener("click", cancel);
+  form.addEventListener("keydown", e => { if (e.key === "Escape") cancel(); });
+}
+
+// ── Authors ──────────────────────────────────────────────────────────────────
+
+// Distinct authors among works in the checked categories and year range,
+// with their total ref_count, alphabetically.
+function authorTotals(cats) {
+  const totals = new Map();
+  for (const work of index.works) {
+    if (!workInFilters(work, cats)) continue;
+    totals.set(work.author, (totals.get(work.author) || 0) + (work.ref_count || 0));
+  }
+  return [...totals.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+function renderAuthorsList(filter = "") {
+  const term = filter.toLowerCase();
+  authorsListEl.innerHTML = "";
+
+  for (const [author, total] of authorTotals(checkedCategories())) {
+    if (term && !author.toLowerCase().includes(term)) continue;
+
+    const btn = document.createElement("button");
+    btn.className = "work-btn" + (author === activeAuthor ? " active" : "");
+    btn.innerHTML = `
+      <span class="work-btn-text"><span class="work-author">${esc(author)}</span></span>
+      <span class="work-ref-badge">${total.toLocaleString()}</span>
+    `;
+    btn.addEventListener("click", () => loadAuthor(author));
+    authorsListEl.appendChild(btn);
   }
 }
 
-function applyAuthorFilter() { applyCombinedFilter(); }
+authorsSearchEl.addEventListener("input", () => renderAuthorsList(authorsSearchEl.value));
 
-authorFilter.addEventListener("change", applyCombinedFilter);
+function loadAuthor(author) {
+  activeAuthor = author;
+  setMode("authors");
+  renderAuthorsList(authorsSearchEl.value);
+  updateRoute();
+  return refreshAuthorView();
+}
 
-document.getElementById("back-to-verses").addEventListener("click", () => {
-  if (activeBook !== null && activeChapter !== null) {
-    showVerseView(activeBook, activeChapter);
-  }
-});
+// Gather citation counts for every work by the active author (in the checked
+// categories) and render the profile page from them.
+async function refreshAuthorView() {
+  const author = activeAuthor;
+  const cats = checkedCategories();
+  const works = index.works
+    .filter(w => w.author === author && workInFilters(w, cats))
+    .sort((a, b) => (a.year ?? Infinity) - (b.year ?? Infinity) || a.title.localeCompare(b.title));
 
-// ── Category filters ──────────────────────────────────────────────────────────
-function renderCategoryFilters() {
-  const categories = [...new Set(index.works.map(w => w.category || "Other"))].sort();
-  categoryFiltersEl.innerHTML = "";
-  for (const cat of categories) {
-    const label = document.createElement("label");
-    const cb = document.createElement("input");
-    cb.type = "checkbox";
-    cb.value = cat;
-    cb.checked = true;
-    cb.addEventListener("change", applyFilters);
-    label.appendChild(cb);
-    label.appendChild(document.createTextNode(" " + cat));
-    categoryFiltersEl.appendChild(label);
-  }
+  authorNameEl.textContent = author;
+  authorMetaEl.textContent = "";
+  authorBodyEl.innerHTML = `<p class="loading">Loading…</p>`;
+
+  const countsPerWork = await Promise.all(works.map(w => fetchWorkCounts(w.id)));
+  if (author !== activeAuthor) return;
+  renderAuthor(works, countsPerWork);
 }
 
-function checkedCategories() {
-  const checked = new Set();
-  for (const cb of categoryFiltersEl.querySelectorAll("input[type=checkbox]")) {
-    if (cb.checked) checked.add(cb.value);
+function renderAuthor(works, countsPerWork) {
+  authorBodyEl.innerHTML = "";
+  if (!works.length) {
+    authorBodyEl.innerHTML = `<p class="no-refs">No works by this author in the selected categories.</p>`;
+    return;
   }
-  return checked;
-}
 
-// Re-render all views whenever the category filter changes.
-function applyFilters() {
-  renderSidebar(searchEl.value);
-  if (activeChapter !== null) {
-    if (activeVerse === null) {
-      // Re-render verse table with updated category counts
-      const bookData = bookCache.get(activeBook);
-      if (bookData) {
-        const chData = bookData.chapters.find(c => c.ch === activeChapter);
-        const kjvChapter = kjvData?.[activeBook]?.[String(activeChapter)] ?? null;
-        renderVerseTable(bookData, chData, kjvChapter);
+  const bookCounts = new Map();    // slug → n
+  const chapterCounts = new Map(); // "slug ch" → { slug, ch, n }
+  let total = 0;
+  for (const counts of countsPerWork) {
+    total += counts.total;
+    for (const [slug, n] of counts.books) bookCounts.set(slug, (bookCounts.get(slug) || 0) + n);
+    for (const [key, n] of counts.chapters) {
+      if (!chapterCounts.has(key)) {
+        const [slug, ch] = key.split(" ");
+        chapterCounts.set(key, { slug, ch: Number(ch), n: 0 });
       }
-    } else {
-      applyCombinedFilter();
+      chapterCounts.get(key).n += n;
     }
   }
-  renderWorksList(worksSearchEl.value);
-  if (activeMode === "viz") renderVizTab();
-}
-
-// ── Works sidebar ─────────────────────────────────────────────────────────────
-function renderWorksList(filter = "") {
-  const term = filter.toLowerCase();
-  const cats = checkedCategories();
-  worksListEl.innerHTML = "";
-
-  for (const work of index.works) {
-    if (term && !`${work.author} ${work.title}`.toLowerCase().includes(term)) continue;
-    if (cats.size && !cats.has(work.category || "Other")) continue;
 
+  const years = works.map(w => w.year).filter(y => y != null);
+  const undated = works.length - years.length;
+  let dateStr = "date unknown";
+  if (years.length) {
+    const lo = Math.min(...years), hi = Math.max(...years);
+    dateStr = lo === hi ? `${lo}` : `${lo}–${hi}`;
+    if (undated) dateStr += ` (+${undated} undated)`;
+  }
+  authorMetaEl.textContent =
+    `${works.length} work${works.length !== 1 ? "s" : ""} · ${total.toLocaleString()} citation${total !== 1 ? "s" : ""} · ${dateStr}`;
+
+  // Works
+  const worksSec = makeSection(authorBodyEl, "Works");
+  const list = document.createElement("div");
+  list.className = "author-works";
+  countsPerWork.forEach((counts, i) => {
+    const work = works[i];
     const btn = document.createElement("button");
-    btn.className = "work-btn" + (work.id === activeWorkId ? " active" : "");
-
-    const yearStr = work.year ? ` (${work.year})` : "";
-    const badge = work.ref_count != null
-      ? `<span class="work-ref-badge">${work.ref_count.toLocaleString()}</span>`
-      : "";
-
+    btn.className = "work-btn";
     btn.innerHTML = `
       <span class="work-btn-text">
-        <span class="work-author">${esc(work.author)}</span>
-        <span class="work-title-sm"> — ${esc(work.title)}${esc(yearStr)}</span>
+        <span class="work-title-sm">${esc(work.title)}${work.year ? ` (${work.year})` : ""}</span>
       </span>
-      ${badge}
+      <span class="work-ref-badge">${counts.total.toLocaleString()}</span>
     `;
-    btn.addEventListener("click", () => loadWork(work.id));
-    worksListEl.appendChild(btn);
-  }
+    btn.addEventListener("click", () => navigateToWork(work.id));
+    list.appendChild(btn);
+  });
+  worksSec.appendChild(list);
+
+  if (!total) return;
+
+  // Per-book histogram, canonical order
+  const bookSec = makeSection(authorBodyEl, "Citations by Book");
+  const bookItems = index.books
+    .filter(b => bookCounts.has(b.slug))
+    .map(b => ({
+      label: b.name,
+      value: bookCounts.get(b.slug),
+      color: BOOK_GROUP_COLORS.get(BOOK_GROUP_MAP.get(b.slug) ?? 'Deuterocanon'),
+      attrs: { slug: b.slug },
+    }));
+  const bookWrap = appendChart(bookSec, hBarChartSvg(bookItems), {
+    label: `${activeAuthor}: citations by book`,
+    table: () => ({ head: ["Book", "Citations"], rows: bookItems.map(d => [d.label, d.value]) }),
+  });
+  bookWrap.addEventListener("click", e => {
+    const hit = e.target.closest("[data-slug]");
+    if (hit) navigateToBook(hit.getAttribute("data-slug"));
+  });
+
+  // Most-cited chapters
+  const chSec = makeSection(authorBodyEl, "Most Cited Chapters");
+  const bookNames = new Map(index.books.map(b => [b.slug, b.name]));
+  const chItems = [...chapterCounts.values()]
+    .sort((a, b) => b.n - a.n)
+    .slice(0, 15)
+    .map(c => ({
+      label: `${bookNames.get(c.slug) ?? c.slug} ${c.ch}`,
+      value: c.n,
+      color: BOOK_GROUP_COLORS.get(BOOK_GROUP_MAP.get(c.slug) ?? 'Deuterocanon'),
+      attrs: { slug: c.slug, ch: c.ch },
+    }));
+  const chWrap = appendChart(chSec, hBarChartSvg(chItems), {
+    label: `${activeAuthor}: most cited chapters`,
+    table: () => ({ head: ["Chapter", "Citations"], rows: chItems.map(d => [d.label, d.value]) }),
+  });
+  chWrap.addEventListener("click", e => {
+    const hit = e.target.closest("[data-slug]");
+    if (hit) navigateToChapter(hit.getAttribute("data-slug"), +hit.getAttribute("data-ch"));
+  });
 }
 
-worksSearchEl.addEventListener("input", () => renderWorksList(worksSearchEl.value));
+// ── Compare ──────────────────────────────────────────────────────────────────
+//
+// Two works, authors or categories side by side: mirrored book/chapter bars
+// (as shares of each side's citations, so a large commentary doesn't dwarf a
+// short treatise), a shared/unique verse breakdown and similarity scores.
+// Categories are compared from the index's per-chapter counts rather than
+// every manuscript in them, so they get no verse breakdown.
+
+const COMPARE_COLORS = ['#7a5c38', '#4a8c6a']; // side A, side B
+let compareKind = "author"; // "work" | "author" | "category"
+let compareA = "";
+let compareB = "";
+let _compareRun = 0;
+
+function compareOptions(kind) {
+  if (kind === "work") {
+    return index.works
+      .slice()
+      .sort((a, b) => a.author.localeCompare(b.author) || a.title.localeCompare(b.title))
+      .map(w => [String(w.id), `${w.author} — ${w.title}`]);
+  }
+  const allCats = new Set(index.works.map(w => w.category || "Other"));
+  if (kind === "author") return authorTotals(allCats).map(([a]) => [a, a]);
+  return [...allCats].sort().map(c => [c, c]);
+}
 
-// ── Work loading ──────────────────────────────────────────────────────────────
-async function loadWork(workId) {
-  activeWorkId = workId;
-  setMode('works');
-  renderWorksList(worksSearchEl.value);
+function compareWorks(kind, value) {
+  if (kind === "work") return index.works.filter(w => String(w.id) === value);
+  if (kind === "author") return index.works.filter(w => w.author === value);
+  return index.works.filter(w => (w.category || "Other") === value);
+}
 
-  workRefsListEl.innerHTML = `<p class="loading">Loading…</p>`;
+function compareLabel(kind, value) {
+  if (kind === "work") return worksById.get(Number(value))?.title ?? value;
+  return value;
+}
 
-  let data;
-  try {
-    data = await fetchJSON(`${DATA_ROOT}/manuscripts/${workId}.json.zst`);
-  } catch (err) {
-    workRefsListEl.innerHTML = `<p class="no-refs">Could not load work data. Have you run the builder?</p>`;
-    return;
+function renderCompareControls() {
+  compareKindEl.value = compareKind;
+  for (const [sel, val] of [[compareAEl, compareA], [compareBEl, compareB]]) {
+    sel.innerHTML = `<option value="">Choose…</option>`;
+    for (const [v, label] of compareOptions(compareKind)) {
+      const opt = document.createElement("option");
+      opt.value = v;
+      opt.textContent = label;
+      sel.appendChild(opt);
+    }
+    sel.value = val;
   }
+  refreshCompare();
+}
 
-  await loadPassages();
-  renderWork(data);
+function setCompare(kind, a, b) {
+  compareKind = kind;
+  compareA = a;
+  compareB = b;
+  setMode("compare"); // re-renders the controls and the comparison
+  updateRoute();
 }
 
-function renderWork(data) {
-  workTitleEl.textContent = data.title;
-  const yearPart = data.year ? ` (${data.year})` : "";
-  const linkPart = data.ccel_url
-    ? ` <a href="${esc(data.ccel_url)}" target="_blank" rel="noopener" class="ccel-link">View on CCEL ↗</a>`
-    : "";
-  workMetaEl.innerHTML = `${esc(data.author)}${esc(yearPart)}${linkPart}`;
+compareKindEl.addEventListener("change", () => setCompare(compareKindEl.value, "", ""));
+compareAEl.addEventListener("change", () => setCompare(compareKind, compareAEl.value, compareB));
+compareBEl.addEventListener("change", () => setCompare(compareKind, compareA, compareBEl.value));
 
-  // Book filter dropdown (books in the order they appear in refs)
-  const seenBooks = [];
-  for (const ref of data.refs)
-    if (!seenBooks.includes(ref.book)) seenBooks.push(ref.book);
+// Book / chapter / verse counts for a set of manuscript ref lists. Verses
+// spanned by a range count once each; whole-chapter refs have no verses.
+function citationProfile(refLists) {
+  const inc = (m, k) => m.set(k, (m.get(k) || 0) + 1);
+  const books = new Map(), chapters = new Map(), verses = new Map();
+  let total = 0;
+  for (const refs of refLists) {
+    for (const ref of refs) {
+      total++;
+      inc(books, ref.book_slug);
+      inc(chapters, `${ref.book_slug} ${ref.chapter}`);
+      for (const n of versesInRanges(refVerseRanges(ref.v) || []))
+        inc(verses, `${ref.book_slug} ${ref.chapter}:${n}`);
+    }
+  }
+  return { total, books, chapters, verses };
+}
 
-  bookFilterEl.innerHTML = `<option value="">All books</option>`;
-  for (const book of seenBooks) {
-    const opt = document.createElement("option");
-    opt.value = book;
-    opt.textContent = book;
-    bookFilterEl.appendChild(opt);
+// Book / chapter counts for a whole category, read from the index so no
+// manuscripts are loaded. There are no verse counts (verses: null).
+function categoryProfile(cat) {
+  const books = new Map(), chapters = new Map();
+  let total = 0;
+  for (const book of index.books) {
+    for (const ch of indexChapters(book)) {
+      const n = ch.by_cat?.[cat] || 0;
+      if (!n) continue;
+      total += n;
+      books.set(book.slug, (books.get(book.slug) || 0) + n);
+      chapters.set(`${book.slug} ${ch.ch}`, n);
+    }
   }
+  return { total, books, chapters, verses: null };
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  for (const k of a.keys()) if (b.has(k)) shared++;
+  const union = a.size + b.size - shared;
+  return union ? shared / union : 0;
+}
 
-  workRefsListEl.innerHTML = "";
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (const [k, v] of a) { na += v * v; dot += v * (b.get(k) || 0); }
+  for (const v of b.values()) nb += v * v;
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
 
-  if (!data.refs.length) {
-    workRefsListEl.innerHTML = `<p class="no-refs">No references found for this work.</p>`;
+async function refreshCompare() {
+  const run = ++_compareRun;
+  compareBodyEl.innerHTML = "";
+  if (!compareA || !compareB) {
+    compareBodyEl.innerHTML = `<p class="no-refs">Pick two ${compareKind === "category" ? "categories" : compareKind + "s"} to compare.</p>`;
+    return;
+  }
+  if (compareKind === "category") {
+    renderCompare(categoryProfile(compareA), categoryProfile(compareB));
     return;
   }
 
-  for (const ref of data.refs) {
-    const card = document.createElement("article");
-    card.className = "ref-card";
-    card.dataset.book = ref.book;
+  const worksA = compareWorks(compareKind, compareA);
+  const worksB = compareWorks(compareKind, compareB);
+  const uncached = [...worksA, ...worksB].filter(w => !workRefsCache.has(w.id)).length;
+  if (uncached) {
+    compareBodyEl.innerHTML = `<p class="loading">Loading citation data for ${uncached} work${uncached !== 1 ? "s" : ""}…</p>`;
+  }
 
-    const locTag = ref.v
-      ? `<span class="ref-verse-tag">${esc(ref.book)} ${ref.chapter}:${esc(ref.v)}</span>`
-      : `<span class="ref-verse-tag">${esc(ref.book)} ${ref.chapter}</span>`;
+  const [refsA, refsB] = await Promise.all([
+    Promise.all(worksA.map(w => fetchWorkRefs(w.id))),
+    Promise.all(worksB.map(w => fetchWorkRefs(w.id))),
+  ]);
+  if (run !== _compareRun) return;
+  renderCompare(citationProfile(refsA), citationProfile(refsB));
+}
 
-    card.innerHTML = `
-      <div class="ref-meta">
-        <div>
-          <span class="ref-author">${esc(data.author)}</span>
-          <span class="ref-work"> — ${esc(data.title)}</span>
-        </div>
-        ${locTag}
-      </div>
-      <div class="ref-text">${highlightPassage(passagesData[ref.p], ref.chapter, ref.v)}</div>
-    `;
-    workRefsListEl.appendChild(card);
+function renderCompare(A, B) {
+  compareBodyEl.innerHTML = "";
+  const nameA = compareLabel(compareKind, compareA);
+  const nameB = compareLabel(compareKind, compareB);
+
+  if (!A.total || !B.total) {
+    compareBodyEl.innerHTML = `<p class="no-refs">${esc(!A.total ? nameA : nameB)} has no citations.</p>`;
+    return;
   }
 
-  applyBookFilter();
-}
+  // Summary + similarity
+  const summary = document.createElement("div");
+  summary.className = "viz-legend compare-summary";
+  summary.innerHTML = `
+    <span class="viz-legend-item"><span class="viz-legend-swatch" style="background:${COMPARE_COLORS[0]}"></span>${esc(nameA)}: <strong>${A.total.toLocaleString()}</strong> citations</span>
+    <span class="viz-legend-item"><span class="viz-legend-swatch" style="background:${COMPARE_COLORS[1]}"></span>${esc(nameB)}: <strong>${B.total.toLocaleString()}</strong> citations</span>
+    ${A.verses ? `<span class="viz-legend-item">Verse overlap (Jaccard): <strong>${jaccard(A.verses, B.verses).toFixed(3)}</strong></span>` : ""}
+    <span class="viz-legend-item">Chapter profile (cosine): <strong>${cosine(A.chapters, B.chapters).toFixed(3)}</strong></span>
+  `;
+  compareBodyEl.appendChild(summary);
+
+  const bookNames = new Map(index.books.map(b => [b.slug, b.name]));
+
+  // Shared / unique verses (not for categories, which are counted per chapter)
+  if (A.verses) renderCompareVerses(A, B, nameA, nameB, bookNames);
+
+  // Books, canonical order
+  const bookSec = makeSection(compareBodyEl, "Books");
+  const bookRows = index.books
+    .filter(b => A.books.has(b.slug) || B.books.has(b.slug))
+    .map(b => ({
+      label: b.name,
+      a: (A.books.get(b.slug) || 0) / A.total, aCount: A.books.get(b.slug) || 0,
+      b: (B.books.get(b.slug) || 0) / B.total, bCount: B.books.get(b.slug) || 0,
+      attrs: { slug: b.slug },
+    }));
+  const bookWrap = appendChart(bookSec, mirroredBarChartSvg(bookRows, nameA, nameB), {
+    label: `Books: ${nameA} and ${nameB}, as shares of their citations`,
+    table: () => mirroredBarTable("Book", bookRows, nameA, nameB),
+  });
+  bookWrap.addEventListener("click", e => {
+    const hit = e.target.closest("[data-slug]");
+    if (hit) navigateToBook(hit.getAttribute("data-slug"));
+  });
 
-function applyBookFilter() {
-  const val = bookFilterEl.value;
-  for (const card of workRefsListEl.querySelectorAll(".ref-card"))
-    card.hidden = val && card.dataset.book !== val;
+  // Chapters with the largest combined share
+  const chSec = makeSection(compareBodyEl, "Chapters");
+  const chKeys = new Set([...A.chapters.keys(), ...B.chapters.keys()]);
+  const chRows = [...chKeys]
+    .map(k => {
+      const [slug, ch] = k.split(" ");
+      return {
+        label: `${bookNames.get(slug) ?? slug} ${ch}`,
+        a: (A.chapters.get(k) || 0) / A.total, aCount: A.chapters.get(k) || 0,
+        b: (B.chapters.get(k) || 0) / B.total, bCount: B.chapters.get(k) || 0,
+        attrs: { slug, ch },
+      };
+    })
+    .sort((p, q) => (q.a + q.b) - (p.a + p.b))
+    .slice(0, 25);
+  const chWrap = appendChart(chSec, mirroredBarChartSvg(chRows, nameA, nameB), {
+    label: `Chapters: ${nameA} and ${nameB}, as shares of their citations`,
+    table: () => mirroredBarTable("Chapter", chRows, nameA, nameB),
+  });
+  chWrap.addEventListener("click", e => {
+    const hit = e.target.closest("[data-slug]");
+    if (hit) navigateToChapter(hit.getAttribute("data-slug"), +hit.getAttribute("data-ch"));
+  });
 }
 
-bookFilterEl.addEventListener("change", applyBookFilter);
+function renderCompareVerses(A, B, nameA, nameB, bookNames) {
+  const verseSec = makeSection(compareBodyEl, "Verses");
+  let shared = 0;
+  for (const k of A.verses.keys()) if (B.verses.has(k)) shared++;
+  const onlyA = A.verses.size - shared, onlyB = B.verses.size - shared;
+  const union = onlyA + shared + onlyB;
+  const segs = [[onlyA, COMPARE_COLORS[0], `Only ${nameA}`], [shared, '#b5a48a', 'Both'], [onlyB, COMPARE_COLORS[1], `Only ${nameB}`]];
+  let x = 0;
+  let bar = [`<svg class="viz-svg" viewBox="0 0 600 26">`];
+  for (const [n, col, label] of segs) {
+    if (!n) continue;
+    const w = (n / union) * 600;
+    bar.push(`<rect x="${f(x)}" y="0" width="${f(w)}" height="26" fill="${col}"><title>${esc(label)}: ${n.toLocaleString()} verses</title></rect>`);
+    x += w;
+  }
+  bar.push('</svg>');
+  const barWrap = document.createElement("div");
+  barWrap.className = "viz-chart-wrap";
+  barWrap.innerHTML = bar.join("");
+  verseSec.appendChild(barWrap);
+  const legend = document.createElement("div");
+  legend.className = "viz-legend";
+  legend.innerHTML = segs.map(([n, col, label]) =>
+    `<span class="viz-legend-item"><span class="viz-legend-swatch" style="background:${col}"></span>${esc(label)}: <strong>${n.toLocaleString()}</strong></span>`).join("");
+  verseSec.appendChild(legend);
+
+  const sharedTop = [...A.verses.keys()]
+    .filter(k => B.verses.has(k))
+    .map(k => ({ k, a: A.verses.get(k), b: B.verses.get(k) }))
+    .sort((p, q) => Math.min(q.a / A.total, q.b / B.total) - Math.min(p.a / A.total, p.b / B.total))
+    .slice(0, 15);
+  if (sharedTop.length) {
+    const p = document.createElement("p");
+    p.className = "viz-desc compare-shared";
+    p.textContent = "Most cited by both: ";
+    for (const { k, a, b } of sharedTop) {
+      const [, slug, ch, v] = k.match(/^(\S+) (\d+):(\d+)$/);
+      const btn = document.createElement("button");
+      btn.className = "ref-verse-tag verse-ref";
+      btn.textContent = `${bookNames.get(slug) ?? slug} ${ch}:${v}`;
+      Object.assign(btn.dataset, { slug, ch, v, tip: `${nameA}: ${a} · ${nameB}: ${b}` });
+      btn.addEventListener("click", () => openCitations(slug, +ch, v));
+      p.appendChild(btn);
+      p.appendChild(document.createTextNode(" "));
+    }
+    verseSec.appendChild(p);
+  }
+}
 
 // ── Utility ───────────────────────────────────────────────────────────────────
 function esc(str) {
@@ -715,22 +3517,66 @@ function toRoman(n) {
   return r;
 }
 
-// Returns safe HTML for a passage with the sentence containing the chapter:verse
-// citation wrapped in <mark>. Falls back to esc(text) if no match found.
-function highlightPassage(text, chapter, verseKey) {
+function fromRoman(str) {
+  const vals = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+  let n = 0;
+  for (let i = 0; i < str.length; i++) {
+    const cur = vals[str[i]], next = vals[str[i + 1]];
+    if (!cur) return 0;
+    n += next > cur ? -cur : cur;
+  }
+  return n;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole-word, case-insensitive matcher for search terms and quoted phrases
+// (phrase words may be separated by any run of punctuation/whitespace).
+function termsRegExp(terms, phrases = []) {
+  const pats = [
+    ...phrases.map(p => p.split(" ").map(escapeRegExp).join("[^\\p{L}\\p{N}]+")),
+    ...terms.map(escapeRegExp),
+  ];
+  if (!pats.length) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${pats.join("|")})(?![\\p{L}\\p{N}])`, "giu");
+}
+
+// Returns safe HTML for text with every match of the terms/phrases in <mark>.
+function highlightTerms(text, terms, phrases = []) {
   if (!text) return "";
-  if (!verseKey || verseKey === "whole") return esc(text);
+  const re = termsRegExp(terms, phrases);
+  if (!re) return esc(text);
+  let out = "", last = 0;
+  for (const m of text.matchAll(re)) {
+    out += esc(text.slice(last, m.index)) + `<mark>${esc(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  return out + esc(text.slice(last));
+}
+
+// The "chapter:verse" citation of verseKey's first verse in a passage (the
+// chapter arabic or roman), as a RegExp match, or null.
+function findVerseCitation(text, chapter, verseKey) {
+  if (!text || !verseKey || verseKey === "whole") return null;
 
   const verseStart = String(verseKey).split(/[-,]/)[0].trim();
-  if (!verseStart || !/^\d+$/.test(verseStart)) return esc(text);
+  if (!verseStart || !/^\d+$/.test(verseStart)) return null;
 
   const ch = String(chapter);
   const roman = toRoman(Number(chapter));
   // Match chapter (arabic or roman) + separator + verse number
   const chPat = `(?:${ch}|${roman})`;
   const re = new RegExp(`${chPat}\\s*[.:\\s]+${verseStart}\\b`, 'i');
+  return re.exec(text);
+}
 
-  const m = re.exec(text);
+// Returns safe HTML for a passage with the sentence containing the chapter:verse
+// citation wrapped in <mark>. Falls back to esc(text) if no match found.
+function highlightPassage(text, chapter, verseKey) {
+  if (!text) return "";
+  const m = findVerseCitation(text, chapter, verseKey);
   if (!m) return esc(text);
 
   // Find sentence start: scan backwards.
@@ -766,6 +3612,185 @@ function highlightPassage(text, chapter, verseKey) {
     esc(text.slice(e));
 }
 
+// ── Scripture reference parsing ──────────────────────────────────────────────
+
+// Parse a verse list such as "16", "4-7", "4-7, 9" or "13ff." into sorted,
+// merged [from, to] pairs ("13f." is 13-14; "13ff." runs to Infinity, i.e.
+// the end of the chapter). Returns null when the text isn't a verse list.
+function parseVerseRanges(str) {
+  const ranges = [];
+  for (const part of String(str).split(/\s*[,;]\s*/)) {
+    if (!part) continue;
+    const m = part.match(/^(\d+)(?:\s*[-–—]\s*(\d+)|\s*(ff?)\.?)?$/i);
+    if (!m) return null;
+    const from = parseInt(m[1], 10);
+    const to   = m[2] ? parseInt(m[2], 10)
+               : m[3] ? (m[3].toLowerCase() === "ff" ? Infinity : from + 1)
+               : from;
+    if (!from || to < from) return null;
+    ranges.push([from, to]);
+  }
+  if (!ranges.length) return null;
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  for (const [from, to] of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (from <= last[1] + 1) last[1] = Math.max(last[1], to);
+    else merged.push([from, to]);
+  }
+  return merged;
+}
+
+function formatVerseRanges(ranges, sep = ",") {
+  return ranges.map(([from, to]) =>
+    from === to ? `${from}` : to === Infinity ? `${from}ff` : `${from}-${to}`).join(sep);
+}
+
+// Every verse number in the ranges; open-ended ranges stop at chapterLen.
+function versesInRanges(ranges, chapterLen = 0) {
+  const out = [];
+  for (const [from, to] of ranges) {
+    const end = to === Infinity ? Math.max(from, chapterLen) : to;
+    for (let n = from; n <= end; n++) out.push(n);
+  }
+  return out;
+}
+
+// Abbreviations that aren't a unique prefix of the book's name. Keys and
+// values are compacted names (lowercase letters only, ordinal stripped).
+const BOOK_ALIASES = {
+  gn: "genesis", ex: "exodus", lv: "leviticus", nm: "numbers", nb: "numbers",
+  dt: "deuteronomy", jos: "joshua", jgs: "judges", jdg: "judges", judg: "judges",
+  rt: "ruth", sm: "samuel", kgs: "kings", kg: "kings", chr: "chronicles",
+  ezr: "ezra", jb: "job", pss: "psalms", psa: "psalms", prv: "proverbs",
+  qoh: "ecclesiastes", cant: "songofsolomon", canticles: "songofsolomon",
+  songofsongs: "songofsolomon", sos: "songofsolomon", is: "isaiah",
+  ez: "ezekiel", dn: "daniel", jl: "joel", jon: "jonah", mi: "micah",
+  zep: "zephaniah", hg: "haggai", zec: "zechariah", tb: "tobit", jdt: "judith",
+  mc: "maccabees", macc: "maccabees", ws: "wisdomofsolomon", wis: "wisdomofsolomon",
+  wisdom: "wisdomofsolomon", ecclus: "sirach", ecclesiasticus: "sirach",
+  sir: "sirach", bel: "belandthedragon", esd: "esdras",
+  mt: "matthew", mk: "mark", lk: "luke", jn: "john", jno: "john",
+  rm: "romans", phil: "philippians", php: "philippians", phlm: "philemon",
+  philem: "philemon", phm: "philemon", thes: "thessalonians", th: "thessalonians",
+  tm: "timothy", jas: "james", pt: "peter", rev: "revelation", apoc: "revelation",
+  apocalypse: "revelation",
+};
+
+const ORDINAL_WORDS = { first: 1, second: 2, third: 3, fourth: 4, "1st": 1, "2nd": 2, "3rd": 3, "4th": 4 };
+
+let _bookMatchers = null; // [{ ord, base, book }] built from index.books
+
+function bookMatchers() {
+  if (!_bookMatchers) {
+    _bookMatchers = index.books.map(book => {
+      const m = book.name.toLowerCase().match(/^([1-4])\s+(.*)$/);
+      return {
+        ord:  m ? parseInt(m[1], 10) : null,
+        base: (m ? m[2] : book.name.toLowerCase()).replace(/[^a-z]/g, ""),
+        book,
+      };
+    });
+  }
+  return _bookMatchers;
+}
+
+// Resolve a book name or abbreviation ("1 Cor", "I Cor.", "Jn", "Song of Songs")
+// to its index.books entry, or null when unknown/ambiguous.
+function resolveBookName(raw) {
+  let name = raw.toLowerCase().replace(/[.]/g, " ").replace(/\s+/g, " ").trim();
+  let ord = null;
+  const m = name.match(/^(?:([1-4])\s*|(first|second|third|fourth|1st|2nd|3rd|4th|iv|iii|ii|i)\s+)(.+)$/);
+  if (m) {
+    ord  = m[1] ? parseInt(m[1], 10) : (ORDINAL_WORDS[m[2]] ?? fromRoman(m[2]));
+    name = m[3];
+  }
+  const compact = name.replace(/[^a-z]/g, "");
+  if (!compact) return null;
+  const base = BOOK_ALIASES[compact] ?? compact;
+
+  const pool  = bookMatchers().filter(b => b.ord === ord);
+  const exact = pool.filter(b => b.base === base);
+  if (exact.length === 1) return exact[0].book;
+  const prefix = pool.filter(b => b.base.startsWith(base));
+  return prefix.length === 1 ? prefix[0].book : null;
+}
+
+// Books of one chapter, cited by verse alone ("Jude 5", "Philem 10").
+const SINGLE_CHAPTER_BOOKS = new Set(["obadiah", "philemon", "2-john", "3-john", "jude", "bel"]);
+
+// Parse a free-form citation into { book, chapter, ranges } where ranges is
+// null for a whole chapter. Accepts abbreviations, Roman chapter numerals and
+// verse ranges/lists: "Jn 3:16", "1 Cor 13:4-7, 13", "Ps. xxiii", "Gen. i. 26",
+// "Matt 5:3ff.". Throws an Error with a user-facing message when it can't.
+function parseScriptureRef(input) {
+  const text = input.trim().replace(/\s+/g, " ");
+  // Locator = the trailing chapter[:verses]; everything before it is the book.
+  // Roman chapters need a space or period before them so "Malachi" stays a name.
+  const m = text.match(/^(.*?[a-z.])(?:\s*(\d+)|[\s.]+([ivxlc]+))\s*([:.,]\s*|\s+(?:vv?\.?\s*)?)?((?:[\d\s,–—-]|ff?\.?)*?)\s*\.?$/i);
+  if (!m) throw new Error(`Couldn't read a chapter in "${input}".`);
+  const [, bookPart, arabicCh, romanCh, sep, versePart] = m;
+  const chPart = arabicCh ?? romanCh;
+
+  const book = resolveBookName(bookPart);
+  if (!book) throw new Error(`Unknown or ambiguous book "${bookPart.trim()}".`);
+
+  // Without a chapter:verse separator a one-chapter book's number is a verse
+  if (arabicCh && !/[:.]/.test(sep ?? "") && SINGLE_CHAPTER_BOOKS.has(book.slug)) {
+    const verses = `${arabicCh}${sep ?? ""}${versePart}`.trim();
+    const ranges = parseVerseRanges(verses);
+    if (!ranges) throw new Error(`Couldn't read the verses "${verses}".`);
+    return { book, chapter: 1, ranges };
+  }
+
+  const chapter = /^\d+$/.test(chPart) ? parseInt(chPart, 10) : fromRoman(chPart.toLowerCase());
+  if (!chapter) throw new Error(`"${chPart}" is not a chapter number.`);
+
+  let ranges = null;
+  if (versePart.trim()) {
+    ranges = parseVerseRanges(versePart.trim());
+    if (!ranges) throw new Error(`Couldn't read the verses "${versePart.trim()}".`);
+  }
+  return { book, chapter, ranges };
+}
+
+// Open the view for a parsed reference: the verse table for a whole chapter,
+// otherwise the citations for every verse the reference covers.
+function goToScriptureRef(ref) {
+  if (!ref.ranges) return showVerseView(ref.book.slug, ref.chapter);
+  return openCitations(ref.book.slug, ref.chapter, formatVerseRanges(ref.ranges));
+}
+
+gotoFormEl.addEventListener("submit", e => {
+  e.preventDefault();
+  const raw = gotoInputEl.value.trim();
+  if (!raw || !index) return;
+  // "Jn 3:16; 4:1" — only references within one chapter can share a view
+  const parts = raw.split(";").map(p => p.trim()).filter(Boolean);
+  try {
+    const ref = parseScriptureRef(parts[0]);
+    let note = "";
+    for (const extra of parts.slice(1)) {
+      const more = /^\d+(?:\s*[-–—,]\s*\d+)*(?:\s*ff?\.?)?$/i.test(extra)
+        ? { ...ref, ranges: parseVerseRanges(extra) }
+        : /^[\divxlc]+\s*[:.]/i.test(extra)
+          ? parseScriptureRef(`${ref.book.name} ${extra}`)
+          : parseScriptureRef(extra);
+      if (more.book === ref.book && more.chapter === ref.chapter && ref.ranges && more.ranges) {
+        ref.ranges = parseVerseRanges(formatVerseRanges([...ref.ranges, ...more.ranges]));
+      } else {
+        note = `Showing the first of ${parts.length} references.`;
+      }
+    }
+    gotoErrorEl.textContent = note;
+    goToScriptureRef(ref);
+  } catch (err) {
+    gotoErrorEl.textContent = err.message;
+  }
+});
+
+gotoInputEl.addEventListener("input", () => { gotoErrorEl.textContent = ""; });
+
 // ── Visualizations ────────────────────────────────────────────────────────────
 
 // Earthy palette that complements the app's warm brown theme
@@ -784,28 +3809,37 @@ function renderVizTab() {
   vizViewEl.innerHTML = '';
   const cats = checkedCategories();
   const version = ++_vizVersion; // snapshot; async chart compares against this
+  _vizAbort?.abort();
+  _vizAbort = new AbortController();
   if (!cats.size) {
     vizViewEl.innerHTML = '<p class="no-refs" style="padding:.5rem 0">No categories selected.</p>';
     return;
   }
-  renderWormtrail(cats, version);       // async, fills in after data loads
+  renderWormtrail(cats, version, _vizAbort.signal);       // async, fills in after data loads
   renderTopChaptersChart(cats);
   renderBibleHeatmap(cats);
+  renderChapterMatrix(cats);
   renderTopBooksChart(cats);
   renderWorksTimeline(cats);
-  renderBibleRefsByDate(cats, version); // async, fills in after data loads
+  renderBibleRefsByDate(cats, version, _vizAbort.signal); // async, fills in after data loads
   renderCategoryDonut(cats);
+  renderCitationNetwork(cats, version, _vizAbort.signal); // async, fills in after data loads
 }
 
 // Helper: append a new viz section to vizViewEl, return the element
 function makeVizSection(title) {
+  return makeSection(vizViewEl, title);
+}
+
+// Helper: append a titled viz-style section to any container
+function makeSection(parent, title) {
   const sec = document.createElement('section');
   sec.className = 'viz-section';
   const h = document.createElement('h3');
   h.className = 'viz-heading';
   h.textContent = title;
   sec.appendChild(h);
-  vizViewEl.appendChild(sec);
+  parent.appendChild(sec);
   return sec;
 }
 
@@ -813,7 +3847,7 @@ function makeVizSection(title) {
 function navigateToBook(slug) {
   const book = index.books.find(b => b.slug === slug);
   const cats = checkedCategories();
-  const firstCh = book?.chapters.find(ch => filteredCount(ch, cats) > 0);
+  const firstCh = book && displayIndexChapters(book).find(ch => filteredCount(ch, cats) > 0);
   if (firstCh) {
     // Pre-set state so setMode shows the chapter panel rather than the welcome screen
     activeBook = slug;
@@ -825,6 +3859,7 @@ function navigateToBook(slug) {
     activeChapter = null;
     setMode('scripture');
     renderSidebar(searchEl.value);
+    updateRoute();
   }
 }
 
@@ -847,6 +3882,182 @@ function navigateToChapter(slug, ch) {
 // Fixed-point helper for SVG coords
 function f(n) { return n.toFixed(2); }
 
+// Single-series horizontal bar chart in the same layout as the top
+// chapters/books charts. items: [{ label, value, color, attrs }] — attrs
+// become data-* attributes on the bar so callers can delegate clicks.
+function hBarChartSvg(items) {
+  const maxVal = Math.max(1, ...items.map(d => d.value));
+  const ROW_H = 28, LBL_W = 145, BAR_MAX = 380, SVG_W = LBL_W + BAR_MAX + 55;
+  const SVG_H = items.length * ROW_H + 8;
+
+  let s = [`<svg class="viz-svg" viewBox="0 0 ${SVG_W} ${SVG_H}">`];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const y = i * ROW_H + 4;
+    const label = item.label.length > 20 ? item.label.slice(0, 19) + '…' : item.label;
+    const w = Math.max(1, (item.value / maxVal) * BAR_MAX);
+    const attrs = Object.entries(item.attrs || {}).map(([k, v]) => ` data-${k}="${esc(String(v))}"`).join('');
+    s.push(`<text x="${LBL_W - 6}" y="${y + 14}" class="viz-bar-label" text-anchor="end">${esc(label)}</text>`);
+    const tip = `${item.label}: ${item.value.toLocaleString()}`;
+    const markAttrs = chartMarkAttrs(`${tip} citations`, { first: i === 0 });
+    // Chapter bars get the verse popover, which shows the tip as well
+    s.push(item.attrs?.ch != null
+      ? `<rect x="${LBL_W}" y="${y}" width="${f(w)}" height="18" fill="${item.color || '#7a5c38'}" rx="2" class="viz-bar-hit verse-ref"${attrs} data-tip="${esc(tip)}"${markAttrs}/>`
+      : `<rect x="${LBL_W}" y="${y}" width="${f(w)}" height="18" fill="${item.color || '#7a5c38'}" rx="2" class="viz-bar-hit"${attrs}${markAttrs}><title>${esc(tip)}</title></rect>`);
+    s.push(`<text x="${f(LBL_W + w + 5)}" y="${y + 14}" class="viz-bar-count">${item.value.toLocaleString()}</text>`);
+  }
+  s.push('</svg>');
+  return s.join('');
+}
+
+// Mirrored bar chart: side A grows left, side B right, label in the middle.
+// rows: [{ label, a, b, aCount, bCount, attrs }] with a/b as shares (0–1).
+function mirroredBarChartSvg(rows, nameA, nameB) {
+  const maxVal = Math.max(1e-9, ...rows.map(r => Math.max(r.a, r.b)));
+  const ROW_H = 24, LBL_W = 130, BAR_MAX = 230, PAD = 40;
+  const SVG_W = PAD * 2 + BAR_MAX * 2 + LBL_W;
+  const SVG_H = rows.length * ROW_H + 26;
+  const midL = PAD + BAR_MAX;  // right edge of side A's bars
+  const midR = midL + LBL_W;   // left edge of side B's bars
+
+  let s = [`<svg class="viz-svg" viewBox="0 0 ${SVG_W} ${SVG_H}">`];
+  s.push(`<text x="${midL}" y="12" class="viz-axis-label" text-anchor="end">${esc(nameA)}</text>`);
+  s.push(`<text x="${midR}" y="12" class="viz-axis-label">${esc(nameB)}</text>`);
+
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    const y = i * ROW_H + 22;
+    const wA = r.a ? Math.max(1, (r.a / maxVal) * BAR_MAX) : 0;
+    const wB = r.b ? Math.max(1, (r.b / maxVal) * BAR_MAX) : 0;
+    const attrs = Object.entries(r.attrs || {}).map(([k, v]) => ` data-${k}="${esc(String(v))}"`).join('');
+    const label = r.label.length > 18 ? r.label.slice(0, 17) + '…' : r.label;
+
+    s.push(`<text x="${f(midL + LBL_W / 2)}" y="${y + 12}" class="viz-bar-label" text-anchor="middle">${esc(label)}</text>`);
+    if (wA) {
+      s.push(`<rect x="${f(midL - wA)}" y="${y}" width="${f(wA)}" height="16" fill="${COMPARE_COLORS[0]}" rx="2"><title>${esc(r.label)} — ${esc(nameA)}: ${r.aCount} (${sharePct(r.a)})</title></rect>`);
+      s.push(`<text x="${f(midL - wA - 4)}" y="${y + 12}" class="viz-bar-count" text-anchor="end">${sharePct(r.a)}</text>`);
+    }
+    if (wB) {
+      s.push(`<rect x="${midR}" y="${y}" width="${f(wB)}" height="16" fill="${COMPARE_COLORS[1]}" rx="2"><title>${esc(r.label)} — ${esc(nameB)}: ${r.bCount} (${sharePct(r.b)})</title></rect>`);
+      s.push(`<text x="${f(midR + wB + 4)}" y="${y + 12}" class="viz-bar-count">${sharePct(r.b)}</text>`);
+    }
+    // Whole-row hit target for click-to-navigate
+    const markAttrs = chartMarkAttrs(
+      `${r.label} — ${nameA}: ${r.aCount} (${sharePct(r.a)}), ${nameB}: ${r.bCount} (${sharePct(r.b)})`, { first: i === 0 });
+    s.push(`<rect x="${f(midL - wA)}" y="${y}" width="${f(wA + LBL_W + wB)}" height="16" fill="transparent" class="viz-bar-hit"${attrs}${markAttrs}/>`);
+  }
+  s.push('</svg>');
+  return s.join('');
+}
+
+function sharePct(v) { return `${(v * 100).toFixed(v < 0.1 ? 1 : 0)}%`; }
+
+// appendChart() table for mirroredBarChartSvg() rows.
+function mirroredBarTable(what, rows, nameA, nameB) {
+  return {
+    head: [what, nameA, nameB],
+    rows: rows.map(r => [r.label, `${r.aCount.toLocaleString()} (${sharePct(r.a)})`, `${r.bCount.toLocaleString()} (${sharePct(r.b)})`]),
+  };
+}
+
+// ── Chart accessibility ──────────────────────────────────────────────────────
+//
+// Each SVG chart is a single tab stop: the arrow keys (and Home / End) move
+// between its marks and Enter or Space does what a click on the mark does.
+// Marks that lead nowhere are role="img" but still focusable, so their label
+// can be read out. Every chart also has a "View as table" toggle listing the
+// numbers it is drawn from.
+
+// Attributes for one focusable mark. The first mark of a chart holds the tab
+// stop; it moves with focus (roving tabindex).
+function chartMarkAttrs(label, { first = false, role = 'button' } = {}) {
+  return ` data-mark tabindex="${first ? 0 : -1}" role="${role}" aria-label="${esc(label)}"`;
+}
+
+// Numbers, and strings that start with one ("412 (23%)"), are right-aligned.
+function chartTableHtml(label, { head, rows }) {
+  const cell = v => typeof v === 'number'
+    ? `<td class="num">${v.toLocaleString()}</td>`
+    : `<td${/^\d/.test(v) ? ' class="num"' : ''}>${esc(v)}</td>`;
+  return `<table class="viz-data-table"><caption>${esc(label)}</caption>
+    <thead><tr>${head.map(h => `<th scope="col">${esc(h)}</th>`).join('')}</tr></thead>
+    <tbody>${rows.map(([first, ...rest]) =>
+      `<tr><th scope="row">${esc(String(first))}</th>${rest.map(cell).join('')}</tr>`).join('')}</tbody>
+  </table>`;
+}
+
+// Append a chart's SVG markup to sec behind a chart/table toggle.
+// label names the chart for screen readers and captions the table;
+// table: { head: [...], rows: [[row label, ...values]] }, built on first use.
+// Returns the chart's wrapper so callers can delegate clicks on it.
+function appendChart(sec, svgHtml, { label, table, className = 'viz-chart-wrap' }) {
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'back-link viz-table-toggle';
+  toggle.textContent = 'View as table';
+
+  const wrap = document.createElement('div');
+  wrap.className = className;
+  wrap.innerHTML = svgHtml;
+  const svg = wrap.querySelector('svg');
+  svg.setAttribute('role', 'group');
+  svg.setAttribute('aria-label', label);
+
+  const tableWrap = document.createElement('div');
+  tableWrap.className = 'viz-table-wrap';
+  tableWrap.hidden = true;
+
+  toggle.addEventListener('click', () => {
+    if (!tableWrap.firstChild) tableWrap.innerHTML = chartTableHtml(label, table());
+    const showTable = tableWrap.hidden;
+    tableWrap.hidden = !showTable;
+    wrap.hidden = showTable;
+    toggle.textContent = showTable ? 'View as chart' : 'View as table';
+  });
+
+  sec.append(toggle, wrap, tableWrap);
+  return wrap;
+}
+
+document.addEventListener('keydown', e => {
+  const mark = e.target.closest?.('[data-mark]');
+  if (!mark) return;
+  if (e.key === 'Enter' || e.key === ' ') {
+    if (mark.getAttribute('role') !== 'button') return;
+    e.preventDefault();
+    mark.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+    return;
+  }
+  const marks = [...mark.closest('svg').querySelectorAll('[data-mark]')];
+  // In a grid (marks with data-row), up and down go to the nearest mark of
+  // the next row that has one
+  if (mark.dataset.row != null && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+    const row = +mark.dataset.row, down = e.key === 'ArrowDown';
+    const next = marks.filter(m => down ? +m.dataset.row > row : +m.dataset.row < row);
+    if (!next.length) return;
+    const target = down ? +next[0].dataset.row : +next.at(-1).dataset.row;
+    const x = +mark.getAttribute('x');
+    const nearest = next.filter(m => +m.dataset.row === target)
+      .reduce((best, m) => Math.abs(+m.getAttribute('x') - x) < Math.abs(+best.getAttribute('x') - x) ? m : best);
+    e.preventDefault();
+    nearest.focus();
+    return;
+  }
+  const i = marks.indexOf(mark);
+  const to = { ArrowRight: i + 1, ArrowDown: i + 1, ArrowLeft: i - 1, ArrowUp: i - 1,
+               Home: 0, End: marks.length - 1 }[e.key];
+  if (to == null || !marks[to]) return;
+  e.preventDefault();
+  marks[to].focus();
+});
+document.addEventListener('focusin', e => {
+  const mark = e.target.closest?.('[data-mark]');
+  if (!mark) return;
+  for (const m of mark.closest('svg').querySelectorAll('[data-mark][tabindex="0"]'))
+    m.setAttribute('tabindex', '-1');
+  mark.setAttribute('tabindex', '0');
+});
+
 // ── 0. Top Chapters Bar Chart ─────────────────────────────────────────────────
 function renderTopChaptersChart(cats) {
   const sec = makeVizSection('Most Cited Chapters');
@@ -859,7 +4070,7 @@ function renderTopChaptersChart(cats) {
 
   const chapterData = [];
   for (const book of index.books) {
-    for (const ch of book.chapters) {
+    for (const ch of indexChapters(book)) {
       const byCat = {};
       let total = 0;
       for (const [cat, n] of Object.entries(ch.by_cat || {})) {
@@ -897,21 +4108,26 @@ function renderTopChaptersChart(cats) {
       s.push(`<rect x="${f(xOff)}" y="${y}" width="${f(w)}" height="18" fill="${col}" rx="2"><title>${esc(cat)}: ${n}</title></rect>`);
       xOff += w;
     }
-    // Invisible hit target for click-to-navigate
+    // Invisible hit target for click-to-navigate and the verse popover
     const totalW = Math.max(1, (item.total / maxVal) * BAR_MAX);
-    s.push(`<rect x="${LBL_W}" y="${y}" width="${f(totalW)}" height="18" fill="transparent" class="viz-bar-hit" data-slug="${esc(item.slug)}" data-ch="${item.ch}"/>`);
+    const tip = allCats.filter(cat => item.byCat[cat]).map(cat => `${cat}: ${item.byCat[cat]}`).join(' · ');
+    const markAttrs = chartMarkAttrs(`${item.label}: ${item.total} citations (${tip})`, { first: i === 0 });
+    s.push(`<rect x="${LBL_W}" y="${y}" width="${f(totalW)}" height="18" fill="transparent" class="viz-bar-hit verse-ref" data-slug="${esc(item.slug)}" data-ch="${item.ch}" data-tip="${esc(tip)}"${markAttrs}/>`);
     s.push(`<text x="${f(LBL_W + (item.total / maxVal) * BAR_MAX + 5)}" y="${y + 14}" class="viz-bar-count">${item.total}</text>`);
   }
   s.push('</svg>');
 
-  const wrap = document.createElement('div');
-  wrap.className = 'viz-chart-wrap';
-  wrap.innerHTML = s.join('');
+  const wrap = appendChart(sec, s.join(''), {
+    label: `Most cited chapters, top ${top.length}`,
+    table: () => ({
+      head: ['Chapter', ...allCats, 'Total'],
+      rows: top.map(item => [item.label, ...allCats.map(cat => item.byCat[cat] || 0), item.total]),
+    }),
+  });
   wrap.querySelector('svg').addEventListener('click', e => {
     const hit = e.target.closest('[data-slug]');
     if (hit) navigateToChapter(hit.getAttribute('data-slug'), +hit.getAttribute('data-ch'));
   });
-  sec.appendChild(wrap);
   sec.appendChild(buildCatLegend(allCats, colors));
 }
 
@@ -924,14 +4140,14 @@ function renderBibleHeatmap(cats) {
   sec.appendChild(desc);
 
   const maxTotal = Math.max(1, ...index.books.map(b =>
-    b.chapters.reduce((s, ch) => s + filteredCount(ch, cats), 0)
+    indexChapters(b).reduce((s, ch) => s + filteredCount(ch, cats), 0)
   ));
 
   const grid = document.createElement('div');
   grid.className = 'viz-heatmap';
 
   for (const book of index.books) {
-    const total = book.chapters.reduce((s, ch) => s + filteredCount(ch, cats), 0);
+    const total = indexChapters(book).reduce((s, ch) => s + filteredCount(ch, cats), 0);
     const cell = document.createElement('button');
     cell.className = 'viz-book-cell';
     cell.dataset.heat = heatLevel(total, maxTotal);
@@ -955,7 +4171,7 @@ function renderTopBooksChart(cats) {
   const bookData = index.books.map(book => {
     const byCat = {};
     let total = 0;
-    for (const ch of book.chapters) {
+    for (const ch of indexChapters(book)) {
       for (const [cat, n] of Object.entries(ch.by_cat || {})) {
         if (cats.has(cat)) { byCat[cat] = (byCat[cat] || 0) + n; total += n; }
       }
@@ -989,19 +4205,24 @@ function renderTopBooksChart(cats) {
     }
     // Invisible hit target for click-to-navigate
     const totalW = Math.max(1, (book.total / maxVal) * BAR_MAX);
-    s.push(`<rect x="${LBL_W}" y="${y}" width="${f(totalW)}" height="18" fill="transparent" class="viz-bar-hit" data-slug="${esc(book.slug)}"/>`);
+    const tip = allCats.filter(cat => book.byCat[cat]).map(cat => `${cat}: ${book.byCat[cat]}`).join(' · ');
+    const markAttrs = chartMarkAttrs(`${book.name}: ${book.total} citations (${tip})`, { first: i === 0 });
+    s.push(`<rect x="${LBL_W}" y="${y}" width="${f(totalW)}" height="18" fill="transparent" class="viz-bar-hit" data-slug="${esc(book.slug)}"${markAttrs}/>`);
     s.push(`<text x="${f(LBL_W + (book.total / maxVal) * BAR_MAX + 5)}" y="${y + 14}" class="viz-bar-count">${book.total}</text>`);
   }
   s.push('</svg>');
 
-  const wrap = document.createElement('div');
-  wrap.className = 'viz-chart-wrap';
-  wrap.innerHTML = s.join('');
+  const wrap = appendChart(sec, s.join(''), {
+    label: `Most referenced books, top ${bookData.length}`,
+    table: () => ({
+      head: ['Book', ...allCats, 'Total'],
+      rows: bookData.map(book => [book.name, ...allCats.map(cat => book.byCat[cat] || 0), book.total]),
+    }),
+  });
   wrap.querySelector('svg').addEventListener('click', e => {
     const hit = e.target.closest('[data-slug]');
     if (hit) navigateToBook(hit.getAttribute('data-slug'));
   });
-  sec.appendChild(wrap);
   sec.appendChild(buildCatLegend(allCats, colors));
 }
 
@@ -1011,9 +4232,9 @@ function renderWorksTimeline(cats) {
   const colors = getCatColors();
 
   const withYear = index.works
-    .filter(w => w.year != null && cats.has(w.category || 'Other'))
+    .filter(w => w.year != null && workInFilters(w, cats))
     .sort((a, b) => a.year - b.year);
-  const noYear = index.works.filter(w => w.year == null && cats.has(w.category || 'Other'));
+  const noYear = index.works.filter(w => w.year == null && workInFilters(w, cats));
 
   if (!withYear.length && !noYear.length) { sec.innerHTML += '<p class="no-refs">No data.</p>'; return; }
 
@@ -1060,25 +4281,28 @@ function renderWorksTimeline(cats) {
     }
 
     // Dots per category lane
-    for (const work of withYear) {
+    for (const [i, work] of withYear.entries()) {
       const catIdx = catList.indexOf(work.category || 'Other');
       const x = xOf(work.year);
       const r = rOf(work.ref_count);
       const y = PAD_T + (catIdx + 0.5) * bandH;
       const col = colors.get(work.category || 'Other') || '#7a5c38';
       const tip = `${work.author} — ${work.title} (${work.year}) · ${work.ref_count || 0} refs`;
-      s.push(`<circle cx="${f(x)}" cy="${f(y)}" r="${r}" fill="${col}" opacity="0.75" stroke="rgba(255,255,255,0.5)" stroke-width="0.5" data-work-id="${work.id}" style="cursor:pointer"><title>${esc(tip)}</title></circle>`);
+      s.push(`<circle cx="${f(x)}" cy="${f(y)}" r="${r}" fill="${col}" opacity="0.75" stroke="rgba(255,255,255,0.5)" stroke-width="0.5" data-work-id="${work.id}" style="cursor:pointer"${chartMarkAttrs(tip, { first: i === 0 })}><title>${esc(tip)}</title></circle>`);
     }
 
     s.push('</svg>');
-    const wrap = document.createElement('div');
-    wrap.className = 'viz-chart-wrap';
-    wrap.innerHTML = s.join('');
+    const wrap = appendChart(sec, s.join(''), {
+      label: `Works by date, ${withYear[0].year} to ${withYear[withYear.length - 1].year}`,
+      table: () => ({
+        head: ['Work', 'Author', 'Category', 'Year', 'Citations'],
+        rows: withYear.map(w => [w.title, w.author, w.category || 'Other', String(w.year), w.ref_count || 0]),
+      }),
+    });
     wrap.querySelector('svg').addEventListener('click', e => {
       const dot = e.target.closest('circle[data-work-id]');
       if (dot) navigateToWork(parseInt(dot.getAttribute('data-work-id'), 10));
     });
-    sec.appendChild(wrap);
     sec.appendChild(buildCatLegend(catList, colors));
   }
 
@@ -1094,22 +4318,56 @@ function renderWorksTimeline(cats) {
 
 // Incremented each time renderVizTab() fires; lets async renders detect staleness.
 let _vizVersion = 0;
+// Aborted when _vizVersion moves on (or the user leaves the tab), dropping
+// the superseded render's queued manuscript loads.
+let _vizAbort = null;
 
 // Cache: workId → refs array (passages discarded to save memory)
 const workRefsCache = new Map();
 
-async function fetchWorkRefs(workId) {
+// Rejects with an AbortError when `signal` fires; any other failure caches [].
+async function fetchWorkRefs(workId, { priority = PRIORITY_BULK, signal } = {}) {
   if (workRefsCache.has(workId)) return workRefsCache.get(workId);
   try {
-    const data = await fetchJSON(`${DATA_ROOT}/manuscripts/${workId}.json.zst`);
-    workRefsCache.set(workId, data.refs);
-    return data.refs;
-  } catch {
+    const refs = mergeWorkDuplicates(await fetchJSON(`${DATA_ROOT}/manuscripts/${workId}.json.zst`, { priority, signal, select: "refs" }));
+    workRefsCache.set(workId, refs);
+    return refs;
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
     workRefsCache.set(workId, []);
     return [];
   }
 }
 
+// Cache: workId → { total, books: Map(slug → n), chapters: Map("slug ch" → n) }
+const workCountsCache = new Map();
+
+// Per-book and per-chapter citation counts for one work, from the aggregate
+// file when it covers the work, otherwise counted from its manuscript.
+async function fetchWorkCounts(workId, opts) {
+  if (workCountsCache.has(workId)) return workCountsCache.get(workId);
+
+  const agg = (await loadAggregates())?.works?.[workId];
+  const counts = { total: 0, books: new Map(), chapters: new Map() };
+  if (agg) {
+    for (const [slug, n] of Object.entries(agg.books || {})) {
+      counts.books.set(slug, n);
+      counts.total += n;
+    }
+    for (const [slug, chs] of Object.entries(agg.chapters || {}))
+      for (const [ch, n] of Object.entries(chs)) counts.chapters.set(`${slug} ${ch}`, n);
+  } else {
+    for (const ref of await fetchWorkRefs(workId, opts)) {
+      counts.total++;
+      counts.books.set(ref.book_slug, (counts.books.get(ref.book_slug) || 0) + 1);
+      const key = `${ref.book_slug} ${ref.chapter}`;
+      counts.chapters.set(key, (counts.chapters.get(key) || 0) + 1);
+    }
+  }
+  workCountsCache.set(workId, counts);
+  return counts;
+}
+
 // Maps every slug in the Protestant canon to a display group.
 // Anything unrecognised (deuterocanonical books, etc.) falls back to 'Deuterocanon'.
 const BOOK_GROUP_MAP = new Map([
@@ -1153,11 +4411,11 @@ const BOOK_GROUP_COLORS = new Map([
   ['Revelation',     '#8a3a3a'],
 ]);
 
-async function renderBibleRefsByDate(cats, version) {
+async function renderBibleRefsByDate(cats, version, signal) {
   const sec = makeVizSection('Bible References by Date');
 
   const worksWithYear = index.works
-    .filter(w => w.year != null && cats.has(w.category || 'Other'));
+    .filter(w => w.year != null && workInFilters(w, cats));
 
   if (!worksWithYear.length) {
     sec.appendChild(Object.assign(document.createElement('p'),
@@ -1165,8 +4423,8 @@ async function renderBibleRefsByDate(cats, version) {
     return;
   }
 
-  // Only show a loading indicator when some works aren't cached yet
-  const uncachedCount = worksWithYear.filter(w => !workRefsCache.has(w.id)).length;
+  // Only show a loading indicator when some manuscripts must be downloaded
+  const uncachedCount = await manuscriptsToCount(worksWithYear);
   let loadingEl = null;
   if (uncachedCount > 0) {
     loadingEl = document.createElement('p');
@@ -1175,18 +4433,24 @@ async function renderBibleRefsByDate(cats, version) {
     sec.appendChild(loadingEl);
   }
 
-  // Fetch all work ref lists in parallel (cached after first load)
-  const workRefsData = await Promise.all(
-    worksWithYear.map(async w => {
-      const refs = await fetchWorkRefs(w.id);
-      const groupCounts = new Map();
-      for (const ref of refs) {
-        const group = BOOK_GROUP_MAP.get(ref.book_slug) ?? 'Deuterocanon';
-        groupCounts.set(group, (groupCounts.get(group) || 0) + 1);
-      }
-      return { work: w, groupCounts };
-    })
-  );
+  // Per-work book counts: aggregates if present, else each manuscript via the loader queue
+  let workRefsData;
+  try {
+    workRefsData = await Promise.all(
+      worksWithYear.map(async w => {
+        const { books } = await fetchWorkCounts(w.id, { signal });
+        const groupCounts = new Map();
+        for (const [slug, n] of books) {
+          const group = BOOK_GROUP_MAP.get(slug) ?? 'Deuterocanon';
+          groupCounts.set(group, (groupCounts.get(group) || 0) + n);
+        }
+        return { work: w, groupCounts };
+      })
+    );
+  } catch (err) {
+    if (err.name === 'AbortError') return; // superseded render
+    throw err;
+  }
 
   // Abort if a newer renderVizTab() call has already replaced us
   if (_vizVersion !== version) return;
@@ -1228,7 +4492,7 @@ async function renderBibleRefsByDate(cats, version) {
         total += n;
       }
     }
-    buckets.push({ b, label: String(b), worksCount: wInBucket.length, groupTotals, total });
+    buckets.push({ b, label: String(b), period: `${b}–${b + BUCKET - 1}`, worksCount: wInBucket.length, groupTotals, total });
   }
 
   if (!buckets.length) {
@@ -1263,6 +4527,11 @@ async function renderBibleRefsByDate(cats, version) {
     const barX   = f(PAD_L + i * BAR_SLOT + BAR_GAP / 2);
     let yStack = 0; // cumulative height from bottom
 
+    const shares = activeGroups.filter(g => bucket.groupTotals.get(g))
+      .map(g => `${g} ${Math.round(bucket.groupTotals.get(g) / bucket.total * 100)}%`);
+    const works = `${bucket.worksCount} work${bucket.worksCount !== 1 ? 's' : ''}`;
+    const markLabel = `${bucket.period}: ${bucket.total} refs in ${works}; ${shares.join(', ')}`;
+    s.push(`<g${chartMarkAttrs(markLabel, { first: i === 0, role: 'img' })}>`);
     for (const g of activeGroups) {
       const count = bucket.groupTotals.get(g) || 0;
       if (!count) continue;
@@ -1271,9 +4540,10 @@ async function renderBibleRefsByDate(cats, version) {
       const segY = f(PAD_T + PLOT_H - yStack - segH);
       const col  = BOOK_GROUP_COLORS.get(g) || '#888';
       const pct  = Math.round(proportion * 100);
-      s.push(`<rect x="${barX}" y="${segY}" width="${f(BAR_W)}" height="${f(segH)}" fill="${col}"><title>${g}: ${pct}% · ${count} refs (${bucket.worksCount} work${bucket.worksCount !== 1 ? 's' : ''})</title></rect>`);
+      s.push(`<rect x="${barX}" y="${segY}" width="${f(BAR_W)}" height="${f(segH)}" fill="${col}"><title>${g}: ${pct}% · ${count} refs (${works})</title></rect>`);
       yStack += segH;
     }
+    s.push('</g>');
 
     // Year label below bar
     const lx = f(PAD_L + i * BAR_SLOT + BAR_SLOT / 2);
@@ -1285,10 +4555,18 @@ async function renderBibleRefsByDate(cats, version) {
 
   s.push('</svg>');
 
-  const wrap = document.createElement('div');
-  wrap.className = 'viz-chart-wrap';
-  wrap.innerHTML = s.join('');
-  sec.appendChild(wrap);
+  const pctOf = (n, total) => `${n.toLocaleString()} (${Math.round(n / total * 100)}%)`;
+  appendChart(sec, s.join(''), {
+    label: `Share of Bible references by section of Scripture, per ${BUCKET} years`,
+    table: () => ({
+      head: ['Period', 'Works', ...activeGroups, 'Total'],
+      rows: buckets.map(bucket => [
+        bucket.period, bucket.worksCount,
+        ...activeGroups.map(g => pctOf(bucket.groupTotals.get(g) || 0, bucket.total)),
+        bucket.total,
+      ]),
+    }),
+  });
 
   // Legend in canonical top-to-bottom order
   const legend = document.createElement('div');
@@ -1306,11 +4584,11 @@ async function renderBibleRefsByDate(cats, version) {
 
 const WORM_TOP_N = 20; // most-cited books to show
 
-async function renderWormtrail(cats, version) {
+async function renderWormtrail(cats, version, signal) {
   const sec = makeVizSection('Citation Wormtrail');
 
   const worksWithYear = index.works
-    .filter(w => w.year != null && cats.has(w.category || 'Other'));
+    .filter(w => w.year != null && workInFilters(w, cats));
 
   if (!worksWithYear.length) {
     sec.appendChild(Object.assign(document.createElement('p'),
@@ -1318,7 +4596,7 @@ async function renderWormtrail(cats, version) {
     return;
   }
 
-  const uncachedCount = worksWithYear.filter(w => !workRefsCache.has(w.id)).length;
+  const uncachedCount = await manuscriptsToCount(worksWithYear);
   let loadingEl = null;
   if (uncachedCount > 0) {
     loadingEl = document.createElement('p');
@@ -1327,17 +4605,19 @@ async function renderWormtrail(cats, version) {
     sec.appendChild(loadingEl);
   }
 
-  const workRefsData = await Promise.all(
-    worksWithYear.map(async w => {
-      const refs = await fetchWorkRefs(w.id);
-      const bookCounts = new Map();
-      for (const ref of refs) {
-        bookCounts.set(ref.book_slug, (bookCounts.get(ref.book_slug) || 0) + 1);
-      }
-      return { work: w, bookCounts };
-    })
-  );
-
+  let workRefsData;
+  try {
+    workRefsData = await Promise.all(
+      worksWithYear.map(async w => {
+        const { books } = await fetchWorkCounts(w.id, { signal });
+        return { work: w, bookCounts: books };
+      })
+    );
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    throw err;
+  }
+
   if (_vizVersion !== version) return;
   if (loadingEl) loadingEl.remove();
 
@@ -1454,7 +4734,8 @@ async function renderWormtrail(cats, version) {
     const color = BOOK_GROUP_COLORS.get(BOOK_GROUP_MAP.get(bk.slug) ?? 'Deuterocanon') || '#888';
     const total = bookTotals.get(bk.slug) || 0;
     const d     = streamPath(tops[bi], bots[bi]);
-    s.push(`<path d="${d}" fill="${color}" fill-opacity="0.82" stroke="var(--bg,#fff)" stroke-width="0.6" style="cursor:pointer" onclick="navigateToBook('${bk.slug}')"><title>${esc(bk.name)}: ${total.toLocaleString()} refs total</title></path>`);
+    const tip   = `${bk.name}: ${total.toLocaleString()} refs total`;
+    s.push(`<path d="${d}" fill="${color}" fill-opacity="0.82" stroke="var(--bg,#fff)" stroke-width="0.6" style="cursor:pointer" data-slug="${esc(bk.slug)}"${chartMarkAttrs(tip, { first: bi === 0 })}><title>${esc(tip)}</title></path>`);
   }
 
   // Labels at each stream's widest bucket
@@ -1478,10 +4759,19 @@ async function renderWormtrail(cats, version) {
 
   s.push('</svg>');
 
-  const wrap = document.createElement('div');
-  wrap.className = 'viz-chart-wrap';
-  wrap.innerHTML = s.join('');
-  sec.appendChild(wrap);
+  const wrap = appendChart(sec, s.join(''), {
+    label: `Citations of the top ${books.length} books per ${BUCKET} years`,
+    table: () => ({
+      head: ['Book', ...bucketKeys.map(String), 'Total'],
+      rows: books.map(bk => [
+        bk.name, ...bucketKeys.map(b => grid.get(bk.slug)?.get(b) || 0), bookTotals.get(bk.slug) || 0,
+      ]),
+    }),
+  });
+  wrap.querySelector('svg').addEventListener('click', e => {
+    const stream = e.target.closest('[data-slug]');
+    if (stream) navigateToBook(stream.getAttribute('data-slug'));
+  });
 }
 
 // ── 6. Category Donut ─────────────────────────────────────────────────────────
@@ -1491,7 +4781,7 @@ function renderCategoryDonut(cats) {
 
   const catTotals = new Map();
   for (const book of index.books) {
-    for (const ch of book.chapters) {
+    for (const ch of indexChapters(book)) {
       for (const [cat, n] of Object.entries(ch.by_cat || {})) {
         if (cats.has(cat)) catTotals.set(cat, (catTotals.get(cat) || 0) + n);
       }
@@ -1508,11 +4798,12 @@ function renderCategoryDonut(cats) {
 
   if (entries.length === 1) {
     const col = colors.get(entries[0][0]) || '#7a5c38';
-    s.push(`<circle cx="${CX}" cy="${CY}" r="${R}" fill="${col}"/>`);
+    const [cat, n] = entries[0];
+    s.push(`<circle cx="${CX}" cy="${CY}" r="${R}" fill="${col}"${chartMarkAttrs(`${cat}: ${n.toLocaleString()} (100%)`, { first: true, role: 'img' })}/>`);
     s.push(`<circle cx="${CX}" cy="${CY}" r="${INNER_R}" fill="var(--bg-card)"/>`);
   } else {
     let angle = -Math.PI / 2;
-    for (const [cat, n] of entries) {
+    for (const [i, [cat, n]] of entries.entries()) {
       const slice = (n / total) * 2 * Math.PI;
       const end = angle + slice;
       const x1 = CX + R * Math.cos(angle), y1 = CY + R * Math.sin(angle);
@@ -1522,7 +4813,8 @@ function renderCategoryDonut(cats) {
       const large = slice > Math.PI ? 1 : 0;
       const col = colors.get(cat) || '#7a5c38';
       const path = `M ${f(x1)} ${f(y1)} A ${R} ${R} 0 ${large} 1 ${f(x2)} ${f(y2)} L ${f(ix1)} ${f(iy1)} A ${INNER_R} ${INNER_R} 0 ${large} 0 ${f(ix2)} ${f(iy2)} Z`;
-      s.push(`<path d="${path}" fill="${col}" stroke="var(--bg-card)" stroke-width="2"><title>${esc(cat)}: ${n.toLocaleString()} (${Math.round(n / total * 100)}%)</title></path>`);
+      const tip = `${cat}: ${n.toLocaleString()} (${Math.round(n / total * 100)}%)`;
+      s.push(`<path d="${path}" fill="${col}" stroke="var(--bg-card)" stroke-width="2"${chartMarkAttrs(tip, { first: i === 0, role: 'img' })}><title>${esc(tip)}</title></path>`);
       angle = end;
     }
   }
@@ -1532,10 +4824,14 @@ function renderCategoryDonut(cats) {
   s.push(`<text x="${CX}" y="${CY + 13}" class="viz-donut-lbl" text-anchor="middle">total refs</text>`);
   s.push('</svg>');
 
-  const wrap = document.createElement('div');
-  wrap.className = 'viz-donut-wrap';
-  wrap.innerHTML = s.join('');
-  sec.appendChild(wrap);
+  appendChart(sec, s.join(''), {
+    label: `Citations by category, ${total.toLocaleString()} in total`,
+    className: 'viz-donut-wrap',
+    table: () => ({
+      head: ['Category', 'Citations', 'Share'],
+      rows: entries.map(([cat, n]) => [cat, n, `${Math.round(n / total * 100)}%`]),
+    }),
+  });
 
   // Stats legend
   const stats = document.createElement('div');
@@ -1564,6 +4860,1074 @@ function buildCatLegend(allCats, colors) {
   return div;
 }
 
+// ── 7. Citation Network ───────────────────────────────────────────────────────
+
+const NET_TOP_AUTHORS = 25;      // most-citing authors to show
+const NET_TOP_BOOKS   = 30;      // most-cited books among their citations
+const NET_EDGES_PER_AUTHOR = 8;  // strongest links kept per author
+const NET_W = 680, NET_H = 480;
+
+async function renderCitationNetwork(cats, version, signal) {
+  const sec = makeVizSection('Citation Network');
+  const colors = getCatColors();
+
+  const authors = authorTotals(cats)
+    .filter(([, total]) => total > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, NET_TOP_AUTHORS)
+    .map(([name]) => name);
+  const authorSet = new Set(authors);
+  const works = index.works.filter(w => authorSet.has(w.author) && workInFilters(w, cats));
+
+  if (!works.length) {
+    sec.appendChild(Object.assign(document.createElement('p'),
+      { className: 'no-refs', textContent: 'No data.' }));
+    return;
+  }
+
+  const uncachedCount = await manuscriptsToCount(works);
+  let loadingEl = null;
+  if (uncachedCount > 0) {
+    loadingEl = document.createElement('p');
+    loadingEl.className = 'loading';
+    loadingEl.textContent = `Loading citation data for ${uncachedCount} work${uncachedCount !== 1 ? 's' : ''}…`;
+    sec.appendChild(loadingEl);
+  }
+
+  let countsPerWork;
+  try {
+    countsPerWork = await Promise.all(works.map(w => fetchWorkCounts(w.id, { signal })));
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    throw err;
+  }
+
+  if (_vizVersion !== version) return;
+  if (loadingEl) loadingEl.remove();
+
+  // author → Map(slug → count), plus each author's largest work for colouring
+  const byAuthor = new Map(authors.map(a => [a, { books: new Map(), total: 0, works: [] }]));
+  works.forEach((w, i) => {
+    const entry = byAuthor.get(w.author);
+    entry.works.push(w);
+    for (const [slug, n] of countsPerWork[i].books) {
+      entry.books.set(slug, (entry.books.get(slug) || 0) + n);
+      entry.total += n;
+    }
+  });
+
+  const bookTotals = new Map();
+  for (const { books } of byAuthor.values())
+    for (const [slug, n] of books) bookTotals.set(slug, (bookTotals.get(slug) || 0) + n);
+  const topSlugs = new Set(
+    [...bookTotals.entries()].sort((a, b) => b[1] - a[1]).slice(0, NET_TOP_BOOKS).map(([s]) => s)
+  );
+
+  // Nodes: authors first, then books in canonical order
+  const nodes = [];
+  const bookIdx = new Map();
+  for (const a of authors) {
+    const { total, works: ws } = byAuthor.get(a);
+    if (!total) continue;
+    const main = ws.reduce((m, w) => (w.ref_count || 0) > (m.ref_count || 0) ? w : m);
+    nodes.push({ kind: 'author', id: a, label: a, total, color: colors.get(main.category || 'Other') || '#7a5c38' });
+  }
+  const nAuthors = nodes.length;
+  for (const book of index.books) {
+    if (!topSlugs.has(book.slug)) continue;
+    bookIdx.set(book.slug, nodes.length);
+    const group = BOOK_GROUP_MAP.get(book.slug) ?? 'Deuterocanon';
+    nodes.push({ kind: 'book', id: book.slug, label: book.name, total: bookTotals.get(book.slug), color: BOOK_GROUP_COLORS.get(group) || '#888', group });
+  }
+
+  // Edges: each author's strongest links into the shown books
+  const edges = [];
+  for (let ai = 0; ai < nAuthors; ai++) {
+    const links = [...byAuthor.get(nodes[ai].id).books.entries()]
+      .filter(([slug]) => bookIdx.has(slug))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, NET_EDGES_PER_AUTHOR);
+    for (const [slug, n] of links) edges.push({ a: ai, b: bookIdx.get(slug), w: n });
+  }
+
+  if (!edges.length) {
+    sec.appendChild(Object.assign(document.createElement('p'),
+      { className: 'no-refs', textContent: 'No data.' }));
+    return;
+  }
+
+  const desc = document.createElement('p');
+  desc.className = 'viz-desc';
+  desc.textContent = `The ${nAuthors} most-citing authors and the ${nodes.length - nAuthors} books they cite most. Line width is the number of citations, node size the total. Scroll to zoom, drag to pan, click a node to open it (or move through them with the arrow keys).`;
+  sec.insertBefore(desc, sec.firstChild.nextSibling);
+
+  layoutNetwork(nodes, edges);
+
+  const maxTotal = Math.max(1, ...nodes.map(n => n.total));
+  const maxW = Math.max(1, ...edges.map(e => e.w));
+  for (const n of nodes) n.r = 3 + 11 * Math.sqrt(n.total / maxTotal);
+
+  let s = [`<svg class="viz-svg net-svg" viewBox="0 0 ${NET_W} ${NET_H}" style="font-family:Georgia,serif">`];
+  s.push('<g class="net-viewport">');
+  for (const e of edges) {
+    const A = nodes[e.a], B = nodes[e.b];
+    s.push(`<line x1="${f(A.x)}" y1="${f(A.y)}" x2="${f(B.x)}" y2="${f(B.y)}" class="net-edge" stroke-width="${f(0.5 + 5 * e.w / maxW)}" data-a="${e.a}" data-b="${e.b}"><title>${esc(A.label)} → ${esc(B.label)}: ${e.w.toLocaleString()}</title></line>`);
+  }
+  nodes.forEach((n, i) => {
+    // Authors labelled to the left, books to the right
+    const left = n.kind === 'author';
+    const label = n.label.length > 22 ? n.label.slice(0, 21) + '…' : n.label;
+    const links = edges.filter(e => e.a === i || e.b === i)
+      .map(e => `${nodes[left ? e.b : e.a].label} ${e.w.toLocaleString()}`);
+    const markLabel = `${n.label}: ${n.total.toLocaleString()} citations; linked to ${links.join(', ')}`;
+    s.push(`<g class="net-node" data-node="${i}"${chartMarkAttrs(markLabel, { first: i === 0 })}>`);
+    s.push(`<circle cx="${f(n.x)}" cy="${f(n.y)}" r="${f(n.r)}" fill="${n.color}"><title>${esc(n.label)}: ${n.total.toLocaleString()} citations</title></circle>`);
+    s.push(`<text x="${f(left ? n.x - n.r - 3 : n.x + n.r + 3)}" y="${f(n.y + 3)}" text-anchor="${left ? 'end' : 'start'}" class="net-label">${esc(label)}</text>`);
+    s.push('</g>');
+  });
+  s.push('</g></svg>');
+
+  const wrap = appendChart(sec, s.join(''), {
+    label: `Citation network: the ${nAuthors} most-citing authors and the books they cite most`,
+    className: 'viz-chart-wrap net-wrap',
+    table: () => ({
+      head: ['Author', 'Book', 'Citations'],
+      rows: edges.map(e => [nodes[e.a].label, nodes[e.b].label, e.w]),
+    }),
+  });
+  const resetBtn = document.createElement('button');
+  resetBtn.type = 'button';
+  resetBtn.className = 'net-reset';
+  resetBtn.textContent = 'Reset view';
+  wrap.appendChild(resetBtn);
+
+  const svg = wrap.querySelector('svg');
+  const viewport = svg.querySelector('.net-viewport');
+  const nodeEls = [...svg.querySelectorAll('.net-node')];
+  const edgeEls = [...svg.querySelectorAll('.net-edge')];
+
+  // ── zoom / pan ──
+  let k = 1, tx = 0, ty = 0;
+  const applyView = () => viewport.setAttribute('transform', `translate(${f(tx)},${f(ty)}) scale(${f(k)})`);
+  // Client → viewBox coordinates (the SVG scales with its container)
+  const toSvg = (cx, cy) => {
+    const rect = svg.getBoundingClientRect();
+    if (!rect.width) return [NET_W / 2, NET_H / 2];
+    return [(cx - rect.left) * NET_W / rect.width, (cy - rect.top) * NET_H / rect.height];
+  };
+
+  svg.addEventListener('wheel', e => {
+    e.preventDefault();
+    const [px, py] = toSvg(e.clientX, e.clientY);
+    const nk = Math.min(6, Math.max(0.5, k * Math.exp(-e.deltaY * 0.0015)));
+    tx = px - (px - tx) * nk / k;
+    ty = py - (py - ty) * nk / k;
+    k = nk;
+    applyView();
+  }, { passive: false });
+
+  let drag = null, dragged = false;
+  svg.addEventListener('pointerdown', e => {
+    if (e.button !== 0) return;
+    drag = { x: e.clientX, y: e.clientY, tx, ty };
+    dragged = false;
+  });
+  svg.addEventListener('pointermove', e => {
+    if (!drag) return;
+    const dx = e.clientX - drag.x, dy = e.clientY - drag.y;
+    if (!dragged && Math.hypot(dx, dy) < 4) return;
+    if (!dragged) svg.setPointerCapture?.(e.pointerId);
+    dragged = true;
+    const rect = svg.getBoundingClientRect();
+    const scale = rect.width ? NET_W / rect.width : 1;
+    tx = drag.tx + dx * scale;
+    ty = drag.ty + dy * scale;
+    applyView();
+  });
+  const endDrag = () => { drag = null; };
+  svg.addEventListener('pointerup', endDrag);
+  svg.addEventListener('pointercancel', endDrag);
+
+  resetBtn.addEventListener('click', () => { k = 1; tx = 0; ty = 0; applyView(); });
+
+  // ── hover or keyboard focus: highlight a node's links ──
+  const highlight = e => {
+    const hit = e.target.closest('.net-node');
+    if (!hit) return;
+    const i = +hit.dataset.node;
+    const near = new Set([i]);
+    edgeEls.forEach((el, j) => {
+      const on = edges[j].a === i || edges[j].b === i;
+      el.classList.toggle('net-hl', on);
+      if (on) near.add(edges[j].a).add(edges[j].b);
+    });
+    nodeEls.forEach((el, j) => el.classList.toggle('net-hl', near.has(j)));
+    svg.classList.add('net-focus');
+  };
+  const unhighlight = e => {
+    if (!e.target.closest('.net-node')) return;
+    svg.classList.remove('net-focus');
+  };
+  svg.addEventListener('mouseover', highlight);
+  svg.addEventListener('focusin', highlight);
+  svg.addEventListener('mouseout', unhighlight);
+  svg.addEventListener('focusout', unhighlight);
+
+  // ── click through ──
+  svg.addEventListener('click', e => {
+    if (dragged) { dragged = false; return; }
+    const hit = e.target.closest('.net-node');
+    if (!hit) return;
+    const n = nodes[+hit.dataset.node];
+    if (n.kind === 'book') { navigateToBook(n.id); return; }
+    const own = byAuthor.get(n.id).works;
+    if (own.length === 1) navigateToWork(own[0].id);
+    else loadAuthor(n.id);
+  });
+
+  sec.appendChild(buildCatLegend([...new Set(works.map(w => w.category || 'Other'))].sort(), colors));
+  const groupLegend = document.createElement('div');
+  groupLegend.className = 'viz-legend';
+  for (const g of BOOK_GROUP_ORDER) {
+    if (!nodes.some(n => n.group === g)) continue;
+    const item = document.createElement('span');
+    item.className = 'viz-legend-item';
+    item.innerHTML = `<span class="viz-legend-swatch net-swatch-book" style="background:${BOOK_GROUP_COLORS.get(g)}"></span>${esc(g)}`;
+    groupLegend.appendChild(item);
+  }
+  sec.appendChild(groupLegend);
+}
+
+// Fruchterman–Reingold force layout, seeded deterministically so the same
+// data always gives the same picture. Gravity pulls authors towards a point
+// left of centre and books towards one right of it, so the graph reads as a
+// bipartite map; the result is then scaled to fit inside the label margins.
+// Sets x/y on each node.
+function layoutNetwork(nodes, edges) {
+  const PAD_X = 110, PAD_Y = 20, ITER = 300, GRAVITY = 0.05;
+  const W = NET_W - PAD_X * 2, H = NET_H - PAD_Y * 2;
+  const K = Math.sqrt((W * H) / nodes.length);
+  const maxW = Math.max(1, ...edges.map(e => e.w));
+
+  const authors = nodes.filter(n => n.kind === 'author');
+  const books   = nodes.filter(n => n.kind === 'book');
+  authors.forEach((n, i) => { n.x = -W / 4; n.y = H * ((i + 0.5) / authors.length - 0.5); n.home = -W / 4; });
+  books.forEach((n, i)   => { n.x =  W / 4; n.y = H * ((i + 0.5) / books.length - 0.5);   n.home =  W / 4; });
+
+  let temp = W / 10;
+  for (let it = 0; it < ITER; it++) {
+    for (const n of nodes) {
+      n.dx = (n.home - n.x) * K * GRAVITY;
+      n.dy = -n.y * K * GRAVITY;
+    }
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i], b = nodes[j];
+        let dx = a.x - b.x, dy = a.y - b.y;
+        const d = Math.max(0.01, Math.hypot(dx, dy));
+        const rep = (K * K) / d;
+        dx /= d; dy /= d;
+        a.dx += dx * rep; a.dy += dy * rep;
+        b.dx -= dx * rep; b.dy -= dy * rep;
+      }
+    }
+
+    for (const e of edges) {
+      const a = nodes[e.a], b = nodes[e.b];
+      let dx = a.x - b.x, dy = a.y - b.y;
+      const d = Math.max(0.01, Math.hypot(dx, dy));
+      const att = (d * d) / K * Math.sqrt(e.w / maxW);
+      dx /= d; dy /= d;
+      a.dx -= dx * att; a.dy -= dy * att;
+      b.dx += dx * att; b.dy += dy * att;
+    }
+
+    for (const n of nodes) {
+      const d = Math.max(0.01, Math.hypot(n.dx, n.dy));
+      const step = Math.min(d, temp);
+      n.x += n.dx / d * step;
+      n.y += n.dy / d * step;
+    }
+    temp = Math.max(0.5, temp * 0.98);
+  }
+
+  // Fit to the drawing area
+  const xs = nodes.map(n => n.x), ys = nodes.map(n => n.y);
+  const x0 = Math.min(...xs), xSpan = Math.max(1, Math.max(...xs) - x0);
+  const y0 = Math.min(...ys), ySpan = Math.max(1, Math.max(...ys) - y0);
+  for (const n of nodes) {
+    n.x = PAD_X + (n.x - x0) / xSpan * W;
+    n.y = PAD_Y + (n.y - y0) / ySpan * H;
+    delete n.dx; delete n.dy; delete n.home;
+  }
+}
+
+// ── 8. Chapter Heatmap ────────────────────────────────────────────────────────
+
+let matrixScale = 'linear'; // 'linear' | 'log'
+let matrixCat   = '';       // one category, or '' for all checked ones
+
+function renderChapterMatrix(cats) {
+  const sec = makeVizSection('Chapter Coverage');
+  const desc = document.createElement('p');
+  desc.className = 'viz-desc';
+  desc.textContent = 'One row per book, one cell per chapter. Color intensity reflects citation count; hover a cell for the breakdown by category, click to open the chapter.';
+  sec.appendChild(desc);
+
+  if (matrixCat && !cats.has(matrixCat)) matrixCat = '';
+  const controls = document.createElement('div');
+  controls.className = 'matrix-controls';
+  controls.innerHTML = `
+    <label>Scale: <select class="matrix-scale">
+      <option value="linear">Linear</option>
+      <option value="log">Logarithmic</option>
+    </select></label>
+    <label>Category: <select class="matrix-cat">
+      <option value="">All selected</option>
+      ${[...cats].sort().map(c => `<option value="${esc(c)}">${esc(c)}</option>`).join('')}
+    </select></label>`;
+  sec.appendChild(controls);
+  const scaleSel = controls.querySelector('.matrix-scale');
+  const catSel = controls.querySelector('.matrix-cat');
+  scaleSel.value = matrixScale;
+  catSel.value = matrixCat;
+
+  // Redrawn whole, table toggle and all, when the controls change
+  const chart = document.createElement('div');
+  sec.appendChild(chart);
+  const legend = document.createElement('div');
+  legend.className = 'viz-legend matrix-legend';
+  sec.appendChild(legend);
+
+  const draw = () => {
+    const { svg, max, cells } = chapterMatrixSvg(cats);
+    chart.replaceChildren();
+    appendChart(chart, svg, {
+      label: `Citations per chapter, ${matrixCat || 'all selected categories'}`,
+      table: () => ({ head: ['Chapter', 'Citations'], rows: cells.map(c => [c.label, c.n]) }),
+    });
+    legend.innerHTML = `<span class="viz-legend-item">0</span>`
+      + [0, 1, 2, 3, 4].map(l => `<span class="viz-legend-swatch" style="background:var(--heat-${l})"></span>`).join('')
+      + `<span class="viz-legend-item">${max.toLocaleString()}${matrixScale === 'log' ? ' (log scale)' : ''}</span>`;
+  };
+  scaleSel.addEventListener('change', () => { matrixScale = scaleSel.value; draw(); });
+  catSel.addEventListener('change', () => { matrixCat = catSel.value; draw(); });
+  chart.addEventListener('click', e => {
+    const hit = e.target.closest('[data-slug]');
+    if (hit) navigateToChapter(hit.getAttribute('data-slug'), +hit.getAttribute('data-ch'));
+  });
+  draw();
+}
+
+// The canon matrix as an SVG string, plus the largest cell count for the
+// legend and the cited chapters ({ label, n }) for the table. Cited cells are
+// the chart's marks, one grid row per book (see the arrow-key handler).
+function chapterMatrixSvg(cats) {
+  const countOf = entry => matrixCat ? (entry.by_cat?.[matrixCat] || 0) : filteredCount(entry, cats);
+  const rows = index.books.map(book => {
+    const chapters = new Map(displayIndexChapters(book).map(entry => [entry.ch, entry]));
+    return { book, chapters, last: Math.max(0, ...chapters.keys()) };
+  });
+  const maxCh = Math.max(1, ...rows.map(r => r.last));
+  const max = Math.max(1, ...rows.flatMap(r => [...r.chapters.values()].map(countOf)));
+  const level = matrixScale === 'log'
+    ? n => heatLevel(Math.log1p(n), Math.log1p(max))
+    : n => heatLevel(n, max);
+
+  const LBL_W = 110, PAD_T = 14, PAD_R = 6, ROW_H = 10, SVG_W = 680;
+  const CELL_W = (SVG_W - LBL_W - PAD_R) / maxCh;
+  const SVG_H = PAD_T + rows.length * ROW_H + 2;
+
+  let s = [`<svg class="viz-svg" viewBox="0 0 ${SVG_W} ${SVG_H}">`];
+  const cells = [];
+
+  // Chapter numbers along the top
+  for (let ch = 1; ch <= maxCh; ch++) {
+    if (ch !== 1 && ch % 10) continue;
+    s.push(`<text x="${f(LBL_W + (ch - 0.5) * CELL_W)}" y="9" text-anchor="middle" class="viz-axis-label" font-size="7">${ch}</text>`);
+  }
+
+  rows.forEach(({ book, chapters, last }, i) => {
+    const y = PAD_T + i * ROW_H;
+    s.push(`<text x="${LBL_W - 5}" y="${y + 8}" text-anchor="end" class="viz-bar-label" font-size="8">${esc(book.name)}</text>`);
+    for (let ch = 1; ch <= last; ch++) {
+      const entry = chapters.get(ch);
+      const n = entry ? countOf(entry) : 0;
+      const x = f(LBL_W + (ch - 1) * CELL_W);
+      if (!n) {
+        s.push(`<rect x="${x}" y="${y}" width="${f(CELL_W - 0.4)}" height="${ROW_H - 1}" fill="var(--heat-0)"/>`);
+        continue;
+      }
+      const breakdown = Object.entries(entry.by_cat || {})
+        .filter(([cat, c]) => c && (matrixCat ? cat === matrixCat : cats.has(cat)))
+        .sort((a, b) => b[1] - a[1])
+        .map(([cat, c]) => `${cat}: ${c.toLocaleString()}`);
+      const label = `${book.name} ${ch}${altChapterLabel(book.slug, ch)}`;
+      const head = `${label}: ${n.toLocaleString()} reference${n !== 1 ? 's' : ''}`;
+      const tip = [head, ...breakdown].join('\n');
+      const markAttrs = chartMarkAttrs(`${head} (${breakdown.join(', ')})`, { first: !cells.length });
+      s.push(`<rect x="${x}" y="${y}" width="${f(CELL_W - 0.4)}" height="${ROW_H - 1}" fill="var(--heat-${level(n)})" class="viz-bar-hit verse-ref" data-slug="${esc(book.slug)}" data-ch="${ch}" data-tip="${esc(tip)}" data-row="${i}"${markAttrs}/>`);
+      cells.push({ label, n });
+    }
+  });
+  s.push('</svg>');
+  return { svg: s.join(''), max, cells };
+}
+
+// ── Passage search ───────────────────────────────────────────────────────────
+//
+// The inverted index is built in search-worker.js; the main thread only maps
+// hits back to works and scripture refs (via the manuscript payloads) and
+// renders them.
+
+const SEARCH_LIMIT     = 500; // ranked hits requested from the worker
+const SEARCH_PAGE_SIZE = 50;  // cards rendered per "Show more"
+
+let searchQuery = "";
+let searchWorker = null;
+let searchReady = null;       // resolves once the worker has built its index
+let _searchSeq = 0;           // worker request ids
+let _searchRun = 0;           // bumps on every new search; stale runs bail out
+const searchPending = new Map(); // request id → { resolve, reject }
+
+// Works keyed by the source slug that prefixes their passage ids
+// ("ntnotes_759836_760983" → …/barnes/ntnotes). Several works may share one.
+// Works without a ccel_url are keyed by the prefixes found in their own
+// manuscripts, which are loaded once for that.
+let worksBySource = null;
+// workId → Map(passage id → refs), built lazily from workRefsCache
+const refsByPassageCache = new Map();
+
+// The worker fetches and indexes passages.json.zst itself. A failed build is
+// dropped (worker and all) so the next search starts over.
+function startSearchWorker() {
+  if (!searchReady) {
+    searchReady = buildSearchIndex().catch(err => {
+      searchWorker?.terminate();
+      searchWorker = null;
+      searchReady = null;
+      throw err;
+    });
+  }
+  return searchReady;
+}
+
+async function buildSearchIndex() {
+  searchWorker = new Worker("search-worker.js");
+  const ready = new Promise((resolve, reject) => {
+    searchWorker.addEventListener("error", () => reject(new Error("The search worker failed to start")));
+    searchWorker.addEventListener("message", e => {
+      const msg = e.data;
+      if (msg.type === "progress") {
+        searchStatusEl.textContent = `Indexing passages… ${Math.round(msg.done / msg.total * 100)}%`;
+      } else if (msg.type === "ready") {
+        resolve(msg);
+      } else if (msg.type === "results" || msg.type === "error") {
+        const pending = searchPending.get(msg.id);
+        searchPending.delete(msg.id);
+        if (msg.type === "results") pending?.resolve(msg);
+        else if (pending) pending.reject(new Error(msg.message));
+        else reject(new Error(msg.message)); // index build failed
+      }
+    });
+  });
+  searchWorker.postMessage({ type: "build", url: `${DATA_ROOT}/passages.json.zst` });
+  return ready;
+}
+
+function queryPassages(q) {
+  const id = ++_searchSeq;
+  return new Promise((resolve, reject) => {
+    searchPending.set(id, { resolve, reject });
+    searchWorker.postMessage({ type: "query", id, q, limit: SEARCH_LIMIT });
+  });
+}
+
+// The worker matches phrases by their words only; keep the hits whose text
+// has every phrase verbatim, then apply the limit.
+function filterPhraseHits(res) {
+  if (!res.phrases.length) return res;
+  const phraseRes = res.phrases.map(p => termsRegExp([], [p]));
+  const hits = res.hits.filter(h => phraseRes.every(re => (passagesData[h.p] || "").search(re) >= 0));
+  return { ...res, total: hits.length, hits: hits.slice(0, SEARCH_LIMIT) };
+}
+
+function passageSource(passageId) {
+  return passageId.replace(/_\d+_\d+$/, "");
+}
+
+function refsByPassage(workId) {
+  if (!refsByPassageCache.has(workId)) {
+    const m = new Map();
+    for (const ref of workRefsCache.get(workId) || []) {
+      if (!m.has(ref.p)) m.set(ref.p, []);
+      m.get(ref.p).push(ref);
+    }
+    refsByPassageCache.set(workId, m);
+  }
+  return refsByPassageCache.get(workId);
+}
+
+// Attach { work, refs } to each hit by looking the passage up in the
+// manuscript payloads of every work that shares its source slug.
+async function buildWorksBySource() {
+  const bySource = new Map();
+  const add = (src, w) => {
+    if (!bySource.has(src)) bySource.set(src, []);
+    if (!bySource.get(src).includes(w)) bySource.get(src).push(w);
+  };
+  const noUrl = [];
+  for (const w of index.works) {
+    const src = (w.ccel_url || "").replace(/\/+$/, "").split("/").pop();
+    if (src) add(src, w);
+    else noUrl.push(w);
+  }
+  await Promise.all(noUrl.map(async w => {
+    for (const ref of await fetchWorkRefs(w.id, { priority: PRIORITY_VIEW })) add(passageSource(ref.p), w);
+  }));
+  return bySource;
+}
+
+async function locateSearchHits(hits) {
+  if (!worksBySource) worksBySource = await buildWorksBySource();
+  const candidatesFor = p => worksBySource.get(passageSource(p)) || [];
+
+  const candidates = new Set();
+  for (const h of hits)
+    for (const w of candidatesFor(h.p)) candidates.add(w.id);
+  await Promise.all([...candidates].map(id => fetchWorkRefs(id, { priority: PRIORITY_VIEW })));
+
+  return hits.map(h => {
+    for (const w of candidatesFor(h.p)) {
+      const refs = refsByPassage(w.id).get(h.p);
+      if (refs) return { ...h, work: w, refs };
+    }
+    return { ...h, work: null, refs: [] };
+  });
+}
+
+async function runPassageSearch(q) {
+  const run = ++_searchRun;
+  searchQuery = q.trim();
+  passageSearchEl.value = searchQuery;
+  setMode("search");
+  updateRoute();
+  searchResultsEl.innerHTML = "";
+
+  if (!searchQuery) { searchStatusEl.textContent = ""; return; }
+  if (!window.Worker) {
+    searchStatusEl.textContent = "Passage search needs a browser with Web Worker support.";
+    return;
+  }
+
+  searchStatusEl.textContent = "Building search index…";
+  let res;
+  try {
+    // The main thread's copy of the text is for phrase checks and snippets
+    await Promise.all([startSearchWorker(), loadPassages()]);
+    if (run !== _searchRun) return;
+    searchStatusEl.textContent = "Searching…";
+    res = filterPhraseHits(await queryPassages(searchQuery));
+  } catch (err) {
+    if (run === _searchRun)
+      searchStatusEl.textContent = "Search is unavailable: the passage text could not be loaded.";
+    return;
+  }
+  if (run !== _searchRun) return;
+
+  const located = await locateSearchHits(res.hits);
+  if (run !== _searchRun) return;
+
+  const cats = checkedCategories();
+  const hits = located.filter(h => !h.work || workInFilters(h.work, cats));
+  const hiddenByFilters = located.length - hits.length;
+
+  let status = res.total
+    ? `${res.total.toLocaleString()} passage${res.total !== 1 ? "s" : ""} match`
+    : "No passages match.";
+  if (res.total > res.hits.length) status += ` — showing the ${res.hits.length} best`;
+  if (hiddenByFilters) status += ` (${hiddenByFilters} hidden by category and year filters)`;
+  searchStatusEl.textContent = status + (res.total ? "." : "");
+
+  renderSearchHits(hits, res.terms, res.phrases, 0);
+}
+
+function renderSearchHits(hits, terms, phrases, from) {
+  searchResultsEl.querySelector(".search-more")?.remove();
+  const page = hits.slice(from, from + SEARCH_PAGE_SIZE);
+
+  for (const hit of page) {
+    const card = document.createElement("article");
+    card.className = "ref-card";
+    const work = hit.work;
+
+    let metaHtml;
+    if (work) {
+      const yearStr = work.year ? ` (${work.year})` : "";
+      const ccelLink = work.ccel_url
+        ? ` <a href="${esc(work.ccel_url)}" target="_blank" rel="noopener" class="ccel-link">View on CCEL ↗</a>`
+        : "";
+      metaHtml = `
+        <span class="ref-author">${esc(work.author)}</span>
+        <button class="ref-work search-work-link" data-work-id="${work.id}"> — ${esc(work.title)}${esc(yearStr)}</button>${ccelLink}`;
+    } else {
+      metaHtml = `<span class="ref-work">${esc(passageSource(hit.p))}</span>`;
+    }
+
+    const tags = hit.refs.map(ref => {
+      const m = work ? mapVerseRef(ref.book_slug, ref.chapter, ref.v, sourceScheme(work.id), versification) : { ch: ref.chapter, v: ref.v };
+      const loc = m.v ? `${m.ch}:${m.v}` : `${m.ch}`;
+      return `<button class="ref-verse-tag verse-ref" data-slug="${esc(ref.book_slug)}" data-ch="${m.ch}" data-v="${esc(m.v ?? "")}">${esc(ref.book)} ${esc(loc)}</button>`;
+    }).join(" ");
+
+    card.innerHTML = `
+      <div class="ref-meta">
+        <div>${metaHtml}</div>
+        <div class="search-hit-refs">${tags}</div>
+      </div>
+      <div class="ref-text">${searchSnippet(passagesData[hit.p], terms, phrases)}</div>
+    `;
+    searchResultsEl.appendChild(card);
+  }
+
+  if (from + SEARCH_PAGE_SIZE < hits.length) {
+    const more = document.createElement("button");
+    more.className = "back-link search-more";
+    more.textContent = `Show more (${hits.length - from - SEARCH_PAGE_SIZE} remaining)`;
+    more.addEventListener("click", () => renderSearchHits(hits, terms, phrases, from + SEARCH_PAGE_SIZE));
+    searchResultsEl.appendChild(more);
+  }
+}
+
+// A window of the passage around its first match, with all matches marked.
+function searchSnippet(text, terms, phrases) {
+  const SNIPPET_LEN = 600;
+  if (!text) return "";
+  if (text.length <= SNIPPET_LEN) return highlightTerms(text, terms, phrases);
+
+  const first = text.search(termsRegExp(terms, phrases) ?? /$^/);
+  let start = Math.max(0, first - 200);
+  if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+  const end = Math.min(text.length, start + SNIPPET_LEN);
+  return (start > 0 ? "… " : "") +
+    highlightTerms(text.slice(start, end), terms, phrases) +
+    (end < text.length ? " …" : "");
+}
+
+searchFormEl.addEventListener("submit", e => {
+  e.preventDefault();
+  runPassageSearch(passageSearchEl.value);
+});
+
+searchResultsEl.addEventListener("click", e => {
+  const tag = e.target.closest("button.ref-verse-tag");
+  if (tag) {
+    const v = tag.dataset.v;
+    openCitations(tag.dataset.slug, +tag.dataset.ch, v ? refVerseKey(v) : "whole");
+    return;
+  }
+  const workLink = e.target.closest("[data-work-id]");
+  if (workLink) navigateToWork(+workLink.dataset.workId);
+});
+
+// ── Verse popover ─────────────────────────────────────────────────────────────
+//
+// Any scripture reference marked .verse-ref — card tags, search hits, reader
+// links, chapter bars and cells in the charts — previews on hover or keyboard
+// focus: the verses in the active translation and how many citations they
+// have under the current filters. The element carries the reference as
+// data-slug / data-ch / data-v (v absent or "whole" for a chapter) and any
+// extra line, such as a chart's breakdown, as data-tip. On touch the first
+// tap previews and a second one follows the reference; Escape closes.
+
+const POPOVER_DELAY = 150; // ms of hover before it opens
+let popoverTarget = null;
+let _popoverTimer = 0;
+let _popoverSeq = 0;
+let _lastPointerType = "mouse";
+
+function verseRefOf(el) {
+  const v = el.dataset.v;
+  return { slug: el.dataset.slug, ch: Number(el.dataset.ch), v: v && v !== "whole" ? v : null };
+}
+
+// Citations for the reference under the category and year filters: for a
+// chapter, the sidebar's count; for verses, what their filtered citations
+// view lists, if the book is loaded already — hovering never fetches one.
+// null when unknown.
+function verseRefCount({ slug, ch, v }) {
+  if (!v) {
+    const book = index.books.find(b => b.slug === slug);
+    const entry = book && displayIndexChapters(book).find(c => c.ch === ch);
+    return entry ? filteredCount(entry, checkedCategories()) : 0;
+  }
+  const bookData = displayBook(slug);
+  if (!bookData) return null;
+  const chData = bookData.chapters.find(c => c.ch === ch);
+  if (!chData) return 0;
+  const key = refVerseKey(v);
+  const ranges = parseVerseRanges(key);
+  return visibleChapterRefs(chData).filter(ref => refInVerseKey(ref, key, ranges)).length;
+}
+
+async function showVersePopover(el) {
+  clearTimeout(_popoverTimer);
+  const seq = ++_popoverSeq;
+  if (popoverTarget !== el) popoverTarget?.removeAttribute("aria-describedby");
+  popoverTarget = el;
+  el.setAttribute("aria-describedby", "verse-popover");
+
+  const ref = verseRefOf(el);
+  const name = index.books.find(b => b.slug === ref.slug)?.name ?? ref.slug;
+  const head = `<strong>${esc(ref.v ? `${name} ${ref.ch}:${ref.v}` : `${name} ${ref.ch}`)}</strong>` +
+    (el.dataset.tip ? `<span class="popover-tip">${esc(el.dataset.tip)}</span>` : "");
+  versePopoverEl.innerHTML = `${head}<p class="loading">Loading…</p>`;
+  versePopoverEl.hidden = false;
+  placeVersePopover(el);
+
+  const count = verseRefCount(ref);
+  await loadTranslation(activeTranslation);
+  if (seq !== _popoverSeq) return;
+  // A chapter previews its opening verse
+  const text = ref.v ? verseText(ref.slug, ref.ch, ref.v) : chapterText(ref.slug, ref.ch)?.["1"];
+  const abbr = translationInfo(activeTranslation)?.abbr ?? activeTranslation;
+  versePopoverEl.innerHTML = head +
+    (text ? `<p class="popover-text">${esc(text)}${ref.v ? "" : " …"} <span class="banner-abbr">${esc(abbr)}</span></p>` : "") +
+    (count !== null ? `<p class="popover-count">${count.toLocaleString()} citation${count !== 1 ? "s" : ""}</p>` : "");
+  placeVersePopover(el);
+}
+
+function hideVersePopover() {
+  clearTimeout(_popoverTimer);
+  _popoverSeq++;
+  popoverTarget?.removeAttribute("aria-describedby");
+  popoverTarget = null;
+  versePopoverEl.hidden = true;
+}
+
+// Below the reference, or above it when there's no room, kept on screen.
+function placeVersePopover(el) {
+  const r = el.getBoundingClientRect();
+  const w = versePopoverEl.offsetWidth, h = versePopoverEl.offsetHeight;
+  const top = r.bottom + 6 + h > window.innerHeight - 8 && r.top - h - 6 > 8 ? r.top - h - 6 : r.bottom + 6;
+  versePopoverEl.style.left = `${Math.max(8, Math.min(r.left, window.innerWidth - w - 8))}px`;
+  versePopoverEl.style.top = `${top}px`;
+}
+
+document.addEventListener("pointerover", e => {
+  _lastPointerType = e.pointerType;
+  if (e.pointerType === "touch") return;
+  const el = e.target.closest?.(".verse-ref");
+  if (!el || el === popoverTarget) return;
+  clearTimeout(_popoverTimer);
+  _popoverTimer = setTimeout(() => showVersePopover(el), POPOVER_DELAY);
+});
+document.addEventListener("pointerout", e => {
+  if (e.pointerType === "touch") return;
+  const el = e.target.closest?.(".verse-ref");
+  if (!el || el.contains(e.relatedTarget)) return;
+  clearTimeout(_popoverTimer);
+  if (el === popoverTarget && document.activeElement !== el) hideVersePopover();
+});
+// Keyboard focus only; a click's focus is handled as a hover or a tap
+document.addEventListener("focusin", e => {
+  const el = e.target.closest?.(".verse-ref");
+  if (el && el.matches(":focus-visible")) showVersePopover(el);
+});
+document.addEventListener("focusout", e => {
+  if (e.target === popoverTarget) hideVersePopover();
+});
+document.addEventListener("keydown", e => {
+  if (e.key === "Escape" && popoverTarget) hideVersePopover();
+});
+document.addEventListener("pointerdown", e => {
+  _lastPointerType = e.pointerType;
+  if (popoverTarget && !popoverTarget.contains(e.target) && !versePopoverEl.contains(e.target)) hideVersePopover();
+}, true);
+document.addEventListener("click", e => {
+  const el = e.target.closest?.(".verse-ref");
+  if (!el) return;
+  // detail is 0 for clicks from the keyboard
+  if (_lastPointerType !== "touch" || e.detail === 0 || el === popoverTarget) {
+    hideVersePopover(); // it's being followed
+    return;
+  }
+  e.preventDefault();
+  e.stopPropagation();
+  showVersePopover(el);
+}, true);
+document.addEventListener("scroll", () => { if (popoverTarget) hideVersePopover(); }, true);
+
+// ── URL routing ──────────────────────────────────────────────────────────────
+//
+// The view state lives in the location hash so any view can be bookmarked:
+//   #/viz
+//   #/scripture/romans              book open in the sidebar
+//   #/scripture/romans/8            verse table
+//   #/scripture/romans/8/28         citations for one verse ("whole" / "all" too)
+//   #/works/389?book=Romans
+//   #/authors/Augustine of Hippo
+//   #/compare/author/John Owen/Richard Baxter   (kind: work | author | category)
+//   #/search?q="image of God"
+//   #/notes/starred                            (or notes, or a collection id)
+// Query params: cats (checked categories, omitted when all are checked),
+// from/to (year range) and undated=0 (hide works without a year), the
+// chapter and work views' filter panels (author / work / category / book /
+// scope, each repeatable and with a not- form, plus text; their Years facet
+// edits from/to), sort / group=work (chapter view card order), order (work view grouping),
+// dupes=1 (show merged duplicate citations on the cards), read=1 (work view
+// as running text), q (passage search query), count=direct (verse table
+// counts single-verse citations only).
+
+const ROUTE_MODES = ["scripture", "works", "authors", "viz", "compare", "search", "notes"];
+let _restoringRoute = false; // suppresses history writes while a route is applied
+
+function allCategories() {
+  return [...categoryFiltersEl.querySelectorAll("input[type=checkbox]")].map(cb => cb.value);
+}
+
+function routeFromState() {
+  const parts = [activeMode];
+  const params = new URLSearchParams();
+
+  if (activeMode === "scripture" && activeBook !== null) {
+    parts.push(activeBook);
+    if (verseCountMode === "direct") params.set("count", "direct");
+    if (verseLayout === "reading") params.set("layout", "reading");
+    if (activeChapter !== null) {
+      parts.push(activeChapter);
+      if (activeVerse !== null) {
+        parts.push(activeVerse);
+        refFilterToParams(chapterRefFilter, params);
+        if (refSort !== "verse") params.set("sort", refSort);
+        if (refGroupByWork) params.set("group", "work");
+        if (showDuplicates) params.set("dupes", "1");
+      }
+    }
+  } else if (activeMode === "works" && activeWorkId !== null) {
+    parts.push(activeWorkId);
+    refFilterToParams(workRefFilter, params);
+    if (workRefOrder !== "document") params.set("order", workRefOrder);
+    if (workLayout === "reading") params.set("read", "1");
+    if (showDuplicates) params.set("dupes", "1");
+  } else if (activeMode === "authors" && activeAuthor !== null) {
+    parts.push(activeAuthor);
+  } else if (activeMode === "compare") {
+    parts.push(compareKind);
+    if (compareA || compareB) parts.push(compareA || "-", compareB || "-");
+  } else if (activeMode === "search" && searchQuery) {
+    params.set("q", searchQuery);
+  } else if (activeMode === "notes") {
+    parts.push(activeCollection);
+  }
+
+  if (activeTranslation !== defaultTranslation) params.set("t", activeTranslation);
+  if (parallelTranslation) params.set("parallel", parallelTranslation);
+  if (versification !== "english") params.set("vs", versification);
+
+  const cats = checkedCategories();
+  if (cats.size !== allCategories().length) params.set("cats", [...cats].sort().join(","));
+  if (yearRange) {
+    if (yearRange.from > yearBounds[0]) params.set("from", yearRange.from);
+    if (yearRange.to < yearBounds[1]) params.set("to", yearRange.to);
+    if (!yearRange.undated) params.set("undated", "0");
+  }
+
+  const qs = params.toString().replace(/%2C/g, ","); // keep category lists readable
+  return "#/" + parts.map(p => encodeURIComponent(p).replace(/%2C/g, ",")).join("/") + (qs ? `?${qs}` : "");
+}
+
+function parseRoute(hash) {
+  const [path, qs = ""] = hash.replace(/^#\/?/, "").split("?");
+  const parts = path.split("/").filter(Boolean).map(decodeURIComponent);
+  return { parts, params: new URLSearchParams(qs) };
+}
+
+// Record the current view in the history. Navigations push a new entry;
+// filter tweaks pass { replace: true } so Back skips over them.
+function updateRoute({ replace = false } = {}) {
+  if (_restoringRoute || !index) return;
+  const hash = routeFromState();
+  if (hash === location.hash) return;
+  if (replace) history.replaceState(null, "", hash);
+  else history.pushState(null, "", hash);
+}
+
+// Restore the view described by location.hash (on load and on back/forward).
+async function applyRoute() {
+  const { parts, params } = parseRoute(location.hash);
+  const [mode, a, b, c] = parts;
+
+  _restoringRoute = true;
+  try {
+    // Categories and years first: every view below renders against them.
+    const catsParam = params.get("cats");
+    const wanted = catsParam === null ? null : new Set(catsParam.split(",").filter(Boolean));
+    let catsChanged = false;
+    for (const cb of categoryFiltersEl.querySelectorAll("input[type=checkbox]")) {
+      const checked = wanted === null || wanted.has(cb.value);
+      if (cb.checked !== checked) { cb.checked = checked; catsChanged = true; }
+    }
+    const from = parseInt(params.get("from"), 10), to = parseInt(params.get("to"), 10);
+    const yearsChanged = setYearRange(
+      Number.isFinite(from) ? from : yearBounds[0],
+      Number.isFinite(to) ? to : yearBounds[1],
+      params.get("undated") !== "0");
+    const vsChanged = (params.get("vs") || "english") !== versification;
+    if (vsChanged) setVersification(params.get("vs"));
+    if (catsChanged || yearsChanged || vsChanged) renderSidebar(searchEl.value); // counts move with the numbering too
+    if (catsChanged || yearsChanged) {
+      renderWorksList(worksSearchEl.value);
+      renderAuthorsList(authorsSearchEl.value);
+    }
+    setVerseCountMode(params.get("count") === "direct" ? "direct" : "ranges");
+    setVerseLayout(params.get("layout") === "reading" ? "reading" : "table");
+    setRefArrangement(params.get("sort"), params.get("group") === "work");
+    setWorkRefOrder(params.get("order"));
+    setWorkLayout(params.get("read") === "1" ? "reading" : "cards");
+    setShowDuplicates(params.get("dupes") === "1");
+    setTranslations(params.get("t") || defaultTranslation, params.get("parallel") || "");
+
+    if (mode === "scripture" && a && index.books.some(bk => bk.slug === a)) {
+      const chapter = parseInt(b, 10);
+      if (!Number.isFinite(chapter)) {
+        activeBook = a;
+        activeChapter = null;
+        activeVerse = null;
+        setMode("scripture");
+        renderSidebar(searchEl.value);
+      } else if (c === "all") {
+        await loadChapter(a, chapter);
+        setChapterRefFilter(params);
+      } else if (c) {
+        await openCitations(a, chapter, c);
+        setChapterRefFilter(params);
+      } else {
+        await showVerseView(a, chapter);
+      }
+    } else if (mode === "works" && a && worksById.has(Number(a))) {
+      await loadWork(Number(a));
+      refFilterFromParams(workRefFilter, params);
+      applyWorkFilter();
+    } else if (mode === "authors" && a && index.works.some(w => w.author === a)) {
+      await loadAuthor(a);
+    } else if (mode === "compare" && ["work", "author", "category"].includes(a)) {
+      const valid = new Set(compareOptions(a).map(([v]) => v));
+      setCompare(a, valid.has(b) ? b : "", valid.has(c) ? c : "");
+    } else if (mode === "search" && params.get("q")) {
+      await runPassageSearch(params.get("q"));
+    } else if (mode === "notes" && notesDb) {
+      await showCollection(a === "starred" || a === "notes" || !a ? a || "starred" : Number(a));
+    } else {
+      setMode(ROUTE_MODES.includes(mode) ? mode : "viz");
+    }
+  } finally {
+    _restoringRoute = false;
+  }
+  // Normalise the URL (e.g. drop an author that isn't in this chapter).
+  updateRoute({ replace: true });
+}
+
+function setChapterRefFilter(params) {
+  refFilterFromParams(chapterRefFilter, params); // values not in this chapter are dropped
+  applyCombinedFilter();
+}
+
+window.addEventListener("popstate", applyRoute);
+
+// ── Offline ──────────────────────────────────────────────────────────────────
+//
+// sw.js serves data/static cache-first. The download button fills its data
+// cache directly (no need to wait for the worker to take control), skipping
+// files that are already there.
+
+const OFFLINE_DATA_CACHE = "patristics-data-v2"; // keep in sync with DATA_CACHE in sw.js
+const OFFLINE_CONCURRENCY = 4;
+
+function offlineDataUrls() {
+  return [
+    `${DATA_ROOT}/index.json.zst`,
+    `${DATA_ROOT}/translations.json`,
+    ...translations.map(t => `${DATA_ROOT}/${t.file}`),
+    `${DATA_ROOT}/passages.json.zst`,
+    ...(aggregatesData ? [`${DATA_ROOT}/aggregates.json.zst`] : []), // optional file
+    ...(passageOffsetsData ? [`${DATA_ROOT}/passage-offsets.json.zst`] : []), // likewise
+    ...index.books.map(b => `${DATA_ROOT}/bible/${b.slug}.json.zst`),
+    ...index.works.map(w => `${DATA_ROOT}/manuscripts/${w.id}.json.zst`),
+  ];
+}
+
+async function offlineMissing(cache) {
+  const urls = offlineDataUrls();
+  const hits = await Promise.all(urls.map(url => cache.match(url)));
+  return urls.filter((url, i) => !hits[i]);
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 ** 2) return `${(n / 1024).toFixed(0)} KB`;
+  if (n < 1024 ** 3) return `${(n / 1024 ** 2).toFixed(1)} MB`;
+  return `${(n / 1024 ** 3).toFixed(2)} GB`;
+}
+
+// Storage can fail outright (private windows, quota, blocked site data);
+// the error goes to the status line instead of an unhandled rejection.
+async function showOfflineStatus() {
+  try {
+    const cache = await caches.open(OFFLINE_DATA_CACHE);
+    const missing = await offlineMissing(cache);
+    const est = navigator.storage?.estimate ? await navigator.storage.estimate() : null;
+    const usage = est ? `${formatBytes(est.usage)} stored` : "";
+    offlineBtnEl.hidden = !missing.length;
+    offlineStatusEl.textContent = missing.length
+      ? usage
+      : `Available offline${usage ? ` · ${usage}` : ""}`;
+    return true;
+  } catch (err) {
+    offlineStatusEl.textContent = `Offline storage is unavailable: ${err.message}`;
+    return false;
+  }
+}
+
+async function downloadForOffline() {
+  offlineBtnEl.disabled = true;
+  let failed = 0;
+  try {
+    const cache = await caches.open(OFFLINE_DATA_CACHE);
+    const queue = await offlineMissing(cache);
+    const total = queue.length;
+    let done = 0;
+
+    const worker = async () => {
+      while (queue.length) {
+        const url = queue.shift();
+        try { await cache.add(url); } catch { failed++; }
+        done++;
+        offlineStatusEl.textContent = `Downloading… ${done} / ${total} files`;
+      }
+    };
+    await Promise.all(Array.from({ length: OFFLINE_CONCURRENCY }, worker));
+  } catch (err) {
+    offlineStatusEl.textContent = `Download failed: ${err.message}`;
+    return;
+  } finally {
+    offlineBtnEl.disabled = false;
+  }
+
+  if (await showOfflineStatus() && failed)
+    offlineStatusEl.textContent += ` · ${failed} file${failed !== 1 ? "s" : ""} failed, try again`;
+}
+
+offlineBtnEl.addEventListener("click", downloadForOffline);
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !window.caches) return; // offline bar stays hidden
+  navigator.serviceWorker.register("sw.js").catch(() => {});
+  offlineBarEl.hidden = false;
+  showOfflineStatus();
+}
+
 // ── Init ──────────────────────────────────────────────────────────────────────
 function dismissSpinner() {
   const el = document.getElementById('spinner-overlay');
@@ -1585,13 +5949,24 @@ async function init() {
   }
 
   for (const w of index.works) worksById.set(w.id, w);
+  registerServiceWorker();
+  renderTranslationSwitcher(); // built-in KJV entry until the manifest loads
+  loadTranslationManifest();
+  await loadAnnotations();
 
-  loadPassages(); // start fetching in background; awaited before first citation render
+  loadPassages().catch(() => {}); // start fetching in background; awaited (and retried) before first citation render
 
   renderCategoryFilters();
+  renderYearFilter();
   renderSidebar();
   renderWorksList();
-  setMode('viz');
+  renderAuthorsList();
+  if (location.hash.length > 1) {
+    applyRoute();
+  } else {
+    setMode('viz');
+    updateRoute({ replace: true });
+  }
   passagesLoadPromise.then(dismissSpinner, dismissSpinner);
 }
 
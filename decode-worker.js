@@ -0,0 +1,49 @@
+/**
+ * Data decode worker — fetches a JSON(.zst) data file, decompresses and
+ * parses it off the main thread. app.js runs a small pool of these behind
+ * fetchJSON(); see "Data loader" there for queueing and priorities.
+ *
+ * Messages in:
+ *   { type: "load", id, url, select }   select: optional top-level key to
+ *                                       return instead of the whole payload
+ *   { type: "cancel", id }              abort an in-flight load
+ *
+ * Messages out:
+ *   { type: "done", id, data }
+ *   { type: "error", id, message, aborted }
+ */
+
+importScripts("https://cdn.jsdelivr.net/npm/fzstd@0.1.1/umd/index.js");
+
+const controllers = new Map(); // id → AbortController for in-flight loads
+
+async function fetchJSON(url, signal) {
+  const resp = await fetch(url, { signal });
+  if (!resp.ok) throw new Error(`Failed to fetch ${url}: ${resp.status}`);
+  // Same rule as the main thread: decompress by hand unless the server already did.
+  if (url.endsWith(".zst") && !resp.headers.get("Content-Encoding")) {
+    const buf = await resp.arrayBuffer();
+    return JSON.parse(new TextDecoder().decode(fzstd.decompress(new Uint8Array(buf))));
+  }
+  return resp.json();
+}
+
+self.addEventListener("message", async e => {
+  const msg = e.data;
+  if (msg.type === "cancel") {
+    controllers.get(msg.id)?.abort();
+    return;
+  }
+  if (msg.type !== "load") return;
+
+  const ctrl = new AbortController();
+  controllers.set(msg.id, ctrl);
+  try {
+    const data = await fetchJSON(new URL(msg.url, self.location.href).href, ctrl.signal);
+    postMessage({ type: "done", id: msg.id, data: msg.select ? data[msg.select] : data });
+  } catch (err) {
+    postMessage({ type: "error", id: msg.id, message: String(err && err.message || err), aborted: ctrl.signal.aborted });
+  } finally {
+    controllers.delete(msg.id);
+  }
+});
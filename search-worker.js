@@ -0,0 +1,152 @@
+/**
+ * Passage search worker — builds an inverted index over passages.json.zst
+ * off the main thread and answers ranked full-text queries. The worker
+ * fetches and decodes the file itself, so the text never has to be copied
+ * across from the main thread; it keeps only the index and drops the text
+ * once that is built. Results are passage ids and scores.
+ *
+ * Messages in:
+ *   { type: "build", url }             fetch passages and index them (once)
+ *   { type: "query", id, q, limit }    run a query against the index
+ *
+ * Messages out:
+ *   { type: "progress", done, total }
+ *   { type: "ready", docs, terms }
+ *   { type: "results", id, total, hits: [{ p, score }], terms, phrases }
+ *   { type: "error", message }
+ *
+ * Query syntax: bare words must all appear (AND); "quoted phrases" must
+ * appear verbatim (case-insensitive, any whitespace between words). The
+ * index only knows words, so for a query with phrases every passage holding
+ * all the words is returned, unlimited; the main thread checks the phrases
+ * against the text and applies the limit.
+ */
+
+importScripts("https://cdn.jsdelivr.net/npm/fzstd@0.1.1/umd/index.js");
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+const BM25_K1 = 1.2;
+const BM25_B  = 0.75;
+
+let ids = [];          // doc number → passage id
+let docLens = [];      // doc number → token count
+let avgDocLen = 1;
+const postings = new Map(); // term → { docs: number[], tfs: number[] } (docs ascending)
+let buildPromise = null;
+
+async function fetchJSON(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`Failed to fetch ${url}: ${resp.status}`);
+  // Same rule as the main thread: decompress by hand unless the server already did.
+  if (url.endsWith(".zst") && !resp.headers.get("Content-Encoding")) {
+    const buf = await resp.arrayBuffer();
+    return JSON.parse(new TextDecoder().decode(fzstd.decompress(new Uint8Array(buf))));
+  }
+  return resp.json();
+}
+
+function tokenize(text) {
+  return text.toLowerCase().match(WORD_RE) || [];
+}
+
+async function build(url) {
+  const passages = await fetchJSON(url);
+  ids = Object.keys(passages);
+  docLens = new Array(ids.length);
+
+  let totalLen = 0;
+  for (let doc = 0; doc < ids.length; doc++) {
+    const tokens = tokenize(passages[ids[doc]] || "");
+    docLens[doc] = tokens.length;
+    totalLen += tokens.length;
+
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const [t, n] of tf) {
+      let entry = postings.get(t);
+      if (!entry) postings.set(t, entry = { docs: [], tfs: [] });
+      entry.docs.push(doc);
+      entry.tfs.push(n);
+    }
+
+    if (doc % 20000 === 0) postMessage({ type: "progress", done: doc, total: ids.length });
+  }
+  avgDocLen = ids.length ? totalLen / ids.length : 1;
+  postMessage({ type: "ready", docs: ids.length, terms: postings.size });
+}
+
+function parseQuery(q) {
+  const phrases = [];
+  const rest = q.replace(/"([^"]*)"/g, (_, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length) phrases.push(words);
+    return " ";
+  });
+  const terms = [...new Set([...tokenize(rest), ...phrases.flat()])];
+  return { terms, phrases };
+}
+
+// Intersect two ascending doc lists.
+function intersect(a, b) {
+  const out = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { out.push(a[i]); i++; j++; }
+    else if (a[i] < b[j]) i++;
+    else j++;
+  }
+  return out;
+}
+
+function search(q, limit) {
+  const { terms, phrases } = parseQuery(q);
+  if (!terms.length) return { total: 0, hits: [], terms, phrases: [] };
+
+  const lists = terms.map(t => postings.get(t));
+  if (lists.some(l => !l)) return { total: 0, hits: [], terms, phrases: phrases.map(p => p.join(" ")) };
+
+  // Rarest term first keeps the intersection small.
+  const order = terms.map((t, i) => i).sort((a, b) => lists[a].docs.length - lists[b].docs.length);
+  let matched = lists[order[0]].docs;
+  for (let k = 1; k < order.length && matched.length; k++)
+    matched = intersect(matched, lists[order[k]].docs);
+
+  // BM25 over the surviving docs.
+  const N = ids.length;
+  const scores = new Map();
+  for (const entry of lists) {
+    const idf = Math.log(1 + (N - entry.docs.length + 0.5) / (entry.docs.length + 0.5));
+    let i = 0;
+    for (const doc of matched) {
+      while (entry.docs[i] < doc) i++;
+      const tf = entry.tfs[i];
+      const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * docLens[doc] / avgDocLen));
+      scores.set(doc, (scores.get(doc) || 0) + idf * norm);
+    }
+  }
+
+  const hits = matched
+    .map(doc => ({ p: ids[doc], score: scores.get(doc) || 0 }))
+    .sort((a, b) => b.score - a.score);
+  return {
+    total: matched.length,
+    hits: phrases.length ? hits : hits.slice(0, limit),
+    terms,
+    phrases: phrases.map(p => p.join(" ")),
+  };
+}
+
+self.addEventListener("message", async e => {
+  const msg = e.data;
+  try {
+    if (msg.type === "build") {
+      if (!buildPromise) buildPromise = build(new URL(msg.url, self.location.href).href);
+      await buildPromise;
+    } else if (msg.type === "query") {
+      await buildPromise;
+      postMessage({ type: "results", id: msg.id, ...search(msg.q, msg.limit || 500) });
+    }
+  } catch (err) {
+    postMessage({ type: "error", id: msg.id, message: String(err && err.message || err) });
+  }
+});
@@ -0,0 +1,99 @@
+/**
+ * Patristics Viewer — service worker for offline use.
+ *
+ * Two caches:
+ *   shell  index.html, app.js, style.css, the search worker and fzstd.
+ *          Network-first, so a deploy is picked up on the next online load.
+ *   data   everything under data/static. The files are immutable (see
+ *          vercel.json), so cache-first; index, KJV and passages are
+ *          precached, bible/ and manuscripts/ are cached as they are fetched
+ *          (or all at once from the "download for offline use" button).
+ *
+ * Responses are stored exactly as received. When the server sent
+ * Content-Encoding: zstd the cached body is already decoded and keeps that
+ * header; from a plain static server it is the raw zstd stream without it —
+ * either way fetchJSON() takes the same branch it would have online.
+ *
+ * Bump DATA_VERSION after rebuilding the data set (the file names don't
+ * change) and SHELL_VERSION to drop a stale shell. app.js reads the data
+ * cache name too; keep OFFLINE_DATA_CACHE there in sync.
+ */
+
+const SHELL_VERSION = 1;
+const DATA_VERSION  = 2;
+const SHELL_CACHE = `patristics-shell-v${SHELL_VERSION}`;
+const DATA_CACHE  = `patristics-data-v${DATA_VERSION}`;
+
+const SHELL_URLS = [
+  "./",
+  "index.html",
+  "app.js",
+  "style.css",
+  "search-worker.js",
+  "decode-worker.js",
+  "https://cdn.jsdelivr.net/npm/fzstd@0.1.1/umd/index.js",
+];
+const DATA_PRECACHE = [
+  "data/static/index.json.zst",
+  "data/static/translations.json",
+  "data/static/kjv.json.zst", // the default translation
+  "data/static/passages.json.zst",
+  "data/static/aggregates.json.zst", // from tools/build-derived.js
+];
+
+self.addEventListener("install", e => {
+  e.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_URLS);
+    // One missing data file (e.g. no passages built yet) shouldn't block install.
+    const data = await caches.open(DATA_CACHE);
+    await Promise.all(DATA_PRECACHE.map(url =>
+      data.match(url).then(hit => hit || data.add(url)).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", e => {
+  e.waitUntil((async () => {
+    const keep = new Set([SHELL_CACHE, DATA_CACHE]);
+    for (const name of await caches.keys())
+      if (name.startsWith("patristics-") && !keep.has(name)) await caches.delete(name);
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", e => {
+  const req = e.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+
+  if (url.origin === self.location.origin && url.pathname.includes("/data/static/")) {
+    e.respondWith(cacheFirst(req, DATA_CACHE));
+  } else if (url.origin === self.location.origin || SHELL_URLS.includes(req.url)) {
+    e.respondWith(networkFirst(req, SHELL_CACHE));
+  }
+});
+
+async function cacheFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const resp = await fetch(req);
+  if (resp.ok) cache.put(req, resp.clone());
+  return resp;
+}
+
+async function networkFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const resp = await fetch(req);
+    if (resp.ok) cache.put(req, resp.clone());
+    return resp;
+  } catch (err) {
+    // Hash routes all load the same document.
+    const hit = await cache.match(req, { ignoreSearch: true })
+      || (req.mode === "navigate" && await cache.match("index.html"));
+    if (hit) return hit;
+    throw err;
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Patristics Viewer — derived data builder.
+ *
+ * Reads the data set the main builder writes to data/static and adds the
+ * files app.js reads to avoid downloading every manuscript:
+ *
+ *   aggregates.json.zst       per-work citation counts (see the app.js header)
+ *   passage-offsets.json.zst  each source's passages by offset (see "Passage
+ *                             context" in app.js)
+ *   index.json.zst            rewritten with counts of distinct refs: the
+ *                             main builder counts duplicate refs too (see
+ *                             "Duplicate refs" in app.js)
+ *
+ * Run it after every rebuild of the data set (and bump DATA_VERSION in
+ * sw.js). Counts are recomputed from bible/ and manuscripts/, never from the
+ * index's own, so running it twice gives the same output.
+ *
+ *   node tools/build-derived.js [data/static]
+ *
+ * Needs Node 22.15+ for zstd in node:zlib.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const DATA_DIR = path.resolve(process.argv[2] || path.join(__dirname, "../data/static"));
+const ZSTD_LEVEL = 19;
+
+function readJSON(file) {
+  const buf = fs.readFileSync(path.join(DATA_DIR, file));
+  return JSON.parse(file.endsWith(".zst") ? zlib.zstdDecompressSync(buf).toString("utf8") : buf);
+}
+
+function writeJSON(file, data) {
+  const body = Buffer.from(JSON.stringify(data));
+  const out = zlib.zstdCompressSync(body, { params: { [zlib.constants.ZSTD_c_compressionLevel]: ZSTD_LEVEL } });
+  fs.writeFileSync(path.join(DATA_DIR, file), out);
+  console.log(`${file}: ${(out.length / 1024).toFixed(0)} KB`);
+}
+
+function distinctRefs(refs, keyOf) {
+  const seen = new Set();
+  return refs.filter(ref => {
+    const key = keyOf(ref);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Same rules as mergeWorkDuplicates() / mergeBookDuplicates() in app.js
+const distinctWorkRefs = refs => distinctRefs(refs, ref => `${ref.book_slug} ${ref.chapter} ${ref.v ?? ""} ${ref.p}`);
+const distinctBookRefs = refs => distinctRefs(refs, ref => `${ref.w} ${ref.p} ${ref.v ?? ""}`);
+
+// ── Per-work counts ───────────────────────────────────────────────────────────
+function buildAggregates(index) {
+  const works = {};
+  for (const work of index.works) {
+    const refs = distinctWorkRefs(readJSON(`manuscripts/${work.id}.json.zst`).refs);
+    const books = {}, chapters = {};
+    for (const ref of refs) {
+      books[ref.book_slug] = (books[ref.book_slug] || 0) + 1;
+      const chs = chapters[ref.book_slug] || (chapters[ref.book_slug] = {});
+      chs[ref.chapter] = (chs[ref.chapter] || 0) + 1;
+    }
+    works[work.id] = { books, chapters };
+  }
+  return { works };
+}
+
+// ── Passage offsets ───────────────────────────────────────────────────────────
+// Every cited passage id ("<source>_<start>_<end>") split by source and sorted
+// by start, then end: [start, length, Δstart, length, …] with each start after
+// the first given as the step from the previous one.
+function buildPassageOffsets(index) {
+  const bySource = new Map();
+  for (const work of index.works) {
+    for (const ref of readJSON(`manuscripts/${work.id}.json.zst`).refs) {
+      const m = /^(.+)_(\d+)_(\d+)$/.exec(ref.p);
+      if (!m) continue;
+      if (!bySource.has(m[1])) bySource.set(m[1], new Map());
+      bySource.get(m[1]).set(ref.p, [Number(m[2]), Number(m[3])]);
+    }
+  }
+  const sources = {};
+  for (const [source, ids] of [...bySource].sort(([a], [b]) => a.localeCompare(b))) {
+    const flat = [];
+    let prev = 0;
+    for (const [start, end] of [...ids.values()].sort((a, b) => a[0] - b[0] || a[1] - b[1])) {
+      flat.push(start - prev, end - start);
+      prev = start;
+    }
+    sources[source] = flat;
+  }
+  return { sources };
+}
+
+// ── Index counts ──────────────────────────────────────────────────────────────
+// Chapter counts (count, by_cat) from the book payloads and each work's
+// ref_count from its aggregate, all of distinct refs. Only the chapters the
+// index already lists are counted; the builder leaves out impossible ones.
+function dedupeIndexCounts(index, aggregates) {
+  const category = new Map(index.works.map(w => [w.id, w.category || "Other"]));
+  for (const book of index.books) {
+    const payload = readJSON(`bible/${book.slug}.json.zst`);
+    const refsByCh = new Map(payload.chapters.map(c => [c.ch, distinctBookRefs(c.refs)]));
+    book.chapters = book.chapters.map(entry => {
+      const refs = refsByCh.get(entry.ch) || [];
+      const byCat = {};
+      for (const ref of refs) byCat[category.get(ref.w)] = (byCat[category.get(ref.w)] || 0) + 1;
+      const by_cat = Object.fromEntries(Object.entries(byCat).sort(([a], [b]) => a.localeCompare(b)));
+      return { ...entry, count: refs.length, by_cat };
+    });
+  }
+  for (const work of index.works) {
+    const books = aggregates.works[work.id]?.books || {};
+    work.ref_count = Object.values(books).reduce((sum, n) => sum + n, 0);
+  }
+  return index;
+}
+
+const index = readJSON("index.json.zst");
+const aggregates = buildAggregates(index);
+writeJSON("aggregates.json.zst", aggregates);
+writeJSON("passage-offsets.json.zst", buildPassageOffsets(index));
+writeJSON("index.json.zst", dedupeIndexCounts(index, aggregates));
@@ -0,0 +1,118 @@
+/**
+ * Patristics Viewer — add a Bible translation.
+ *
+ * Converts a verse-per-line text ("VPL", as eBible.org publishes them:
+ * one "GEN 1:1 In the beginning…" line per verse, USFM book codes) into the
+ * kjv.json.zst shape ({slug: {ch: {v: text}}}) and lists it in
+ * translations.json. For the Douay-Rheims parallel text:
+ *
+ *   unzip eng-dra_vpl.zip      (https://ebible.org/Scriptures/eng-dra_vpl.zip)
+ *   node tools/build-translation.js eng-dra_vpl.txt \
+ *     --id drb --abbr DRB --name "Douay-Rheims" --versification greek
+ *
+ * The data set in this repository ships the KJV only; drb.json.zst is not
+ * included, and the reading view's parallel text is offered only once a
+ * second translation has been added this way.
+ *
+ * --versification greek marks a text numbered like the LXX / Vulgate (the
+ * Douay-Rheims Psalms); app.js renumbers it to the scheme being shown.
+ * --default makes it the translation shown first. Running it again for the
+ * same id replaces the entry.
+ *
+ * Needs Node 22.15+ for zstd in node:zlib.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const DATA_DIR = path.join(__dirname, "../data/static");
+const ZSTD_LEVEL = 19;
+
+// USFM book code → book slug in index.json. The Greek Esther and Daniel
+// books hold the additions, which the index files under Esther and Daniel.
+const USFM_SLUGS = {
+  GEN: "genesis", EXO: "exodus", LEV: "leviticus", NUM: "numbers", DEU: "deuteronomy",
+  JOS: "joshua", JDG: "judges", RUT: "ruth", "1SA": "1-samuel", "2SA": "2-samuel",
+  "1KI": "1-kings", "2KI": "2-kings", "1CH": "1-chronicles", "2CH": "2-chronicles",
+  EZR: "ezra", NEH: "nehemiah", EST: "esther", ESG: "esther", JOB: "job", PSA: "psalms",
+  PRO: "proverbs", ECC: "ecclesiastes", SNG: "song-of-solomon", ISA: "isaiah",
+  JER: "jeremiah", LAM: "lamentations", EZK: "ezekiel", DAN: "daniel", DAG: "daniel",
+  HOS: "hosea", JOL: "joel", AMO: "amos", OBA: "obadiah", JON: "jonah", MIC: "micah",
+  NAM: "nahum", HAB: "habakkuk", ZEP: "zephaniah", HAG: "haggai", ZEC: "zechariah",
+  MAL: "malachi", TOB: "tobit", JDT: "judith", "1MA": "1-maccabees", "2MA": "2-maccabees",
+  "3MA": "3-maccabees", "4MA": "4-maccabees", WIS: "wisdom", SIR: "sirach", BAR: "baruch",
+  BEL: "bel", "1ES": "1-esdras", "2ES": "2-esdras", MAT: "matthew", MRK: "mark",
+  LUK: "luke", JHN: "john", ACT: "acts", ROM: "romans", "1CO": "1-corinthians",
+  "2CO": "2-corinthians", GAL: "galatians", EPH: "ephesians", PHP: "philippians",
+  COL: "colossians", "1TH": "1-thessalonians", "2TH": "2-thessalonians",
+  "1TI": "1-timothy", "2TI": "2-timothy", TIT: "titus", PHM: "philemon", HEB: "hebrews",
+  JAS: "james", "1PE": "1-peter", "2PE": "2-peter", "1JN": "1-john", "2JN": "2-john",
+  "3JN": "3-john", JUD: "jude", REV: "revelation",
+};
+
+function parseArgs(argv) {
+  const opts = { file: null, default: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--default") opts.default = true;
+    else if (arg.startsWith("--")) opts[arg.slice(2)] = argv[++i];
+    else opts.file = arg;
+  }
+  if (!opts.file || !opts.id || !opts.abbr || !opts.name) {
+    console.error("usage: node tools/build-translation.js <vpl file> --id ID --abbr ABBR --name NAME [--versification greek] [--default]");
+    process.exit(1);
+  }
+  if (opts.versification && !["english", "greek"].includes(opts.versification)) {
+    console.error(`unknown versification "${opts.versification}" (english or greek)`);
+    process.exit(1);
+  }
+  return opts;
+}
+
+function parseVPL(text) {
+  const books = {};
+  const skipped = new Map(); // book code → verses dropped
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(/^(\w{3}) (\d+):(\d+) (.*)$/);
+    if (!m) continue;
+    const [, code, ch, v, verse] = m;
+    const slug = USFM_SLUGS[code];
+    if (!slug) { skipped.set(code, (skipped.get(code) || 0) + 1); continue; }
+    const chapters = books[slug] || (books[slug] = {});
+    const verses = chapters[ch] || (chapters[ch] = {});
+    verses[v] = verses[v] ? `${verses[v]} ${verse.trim()}` : verse.trim();
+  }
+  for (const [code, n] of skipped) console.warn(`skipped ${n} verses of unknown book ${code}`);
+  return books;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const books = parseVPL(fs.readFileSync(opts.file, "utf8"));
+if (!Object.keys(books).length) {
+  console.error(`no verses found in ${opts.file}`);
+  process.exit(1);
+}
+
+const file = `${opts.id}.json.zst`;
+const body = Buffer.from(JSON.stringify(books));
+fs.writeFileSync(path.join(DATA_DIR, file),
+  zlib.zstdCompressSync(body, { params: { [zlib.constants.ZSTD_c_compressionLevel]: ZSTD_LEVEL } }));
+
+const manifestPath = path.join(DATA_DIR, "translations.json");
+const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+const entry = { id: opts.id, abbr: opts.abbr, name: opts.name, file };
+if (opts.versification && opts.versification !== "english") entry.versification = opts.versification;
+const at = manifest.translations.findIndex(t => t.id === opts.id);
+if (at >= 0) manifest.translations[at] = entry;
+else manifest.translations.push(entry);
+if (opts.default) manifest.default = opts.id;
+// One line per translation, as the file is written by hand too.
+const entryLines = manifest.translations.map(t =>
+  `    { ${Object.entries(t).map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(", ")} }`);
+fs.writeFileSync(manifestPath,
+  `{\n  "default": ${JSON.stringify(manifest.default)},\n  "translations": [\n${entryLines.join(",\n")}\n  ]\n}\n`);
+
+console.log(`${file}: ${Object.keys(books).length} books; translations.json lists ${manifest.translations.map(t => t.id).join(", ")}`);